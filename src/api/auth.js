@@ -0,0 +1,135 @@
+const TokenUtils = require("../token");
+const {UnauthorizedError, ForbiddenError} = require("./errors");
+
+/**
+ * This is the authentication configuration for the api. It verifies the signed bearer token of a request, see
+ * {@link TokenUtils}, and attaches the decoded payload to the request as principal. It can be used for all paths
+ * using its middleware, see {@link ApiServer#use}, or for single paths using the auth option of
+ * {@link ApiServer#register}. Requests without a valid token are rejected with a 401, requests whose principal lacks
+ * a required role or scope with a 403.
+ */
+class ApiAuth {
+	/**
+	 * Creates a new authentication configuration with the specified options.
+	 * @param {Object} options The options for authentication.
+	 * @param {String|Buffer|Object} options.secret The secret key for tokens, or an object of keys by key id.
+	 * @param {String} options.issuer The issuer tokens must have and are signed with.
+	 * @param {String|Array<String>} options.audience The audience tokens must have and are signed with.
+	 * @param {Array<String>} options.algorithms The accepted signing algorithms. By default all are accepted.
+	 * @param {Number} options.clockTolerance The number of seconds of difference allowed between clocks.
+	 * @param {Function} options.verify A function that receives the custom api request and returns the principal, or
+	 * nothing when the request is not authenticated. This replaces the verification of bearer tokens, for example to
+	 * use basic authentication.
+	 * @param {Array<String>} options.roles The roles of which the principal must have at least one.
+	 * @param {Array<String>} options.scopes The scopes the principal must all have.
+	 */
+	constructor({secret, issuer, audience, algorithms, clockTolerance, verify, roles = [], scopes = []} = {}) {
+		if (secret === undefined && verify === undefined) throw Error("A secret or verify function is required.");
+
+		this.secret = secret;
+		this.issuer = issuer;
+		this.audience = audience;
+		this.algorithms = algorithms;
+		this.clockTolerance = clockTolerance;
+		this.verify = verify;
+		this.roles = roles;
+		this.scopes = scopes;
+	}
+
+	/**
+	 * Signs a token for the specified payload using the secret, issuer and audience of this configuration.
+	 * @param {Object} payload The payload of the token.
+	 * @param {Object} options The options for signing, see {@link TokenUtils.sign}.
+	 * @returns {String} The signed token.
+	 */
+	sign(payload, options = {}) {
+		return TokenUtils.sign(payload, this.secret, {issuer: this.issuer, audience: this.audience, ...options});
+	}
+
+	/**
+	 * Authenticates the specified request and checks that the principal has the required roles and scopes. The
+	 * principal is attached to the request as principal.
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {Object} options The options for this check.
+	 * @param {Array<String>} options.roles The roles of which the principal must have at least one. By default these
+	 * are the roles of this configuration.
+	 * @param {Array<String>} options.scopes The scopes the principal must all have. By default these are the scopes
+	 * of this configuration.
+	 * @returns {Promise<Object>} A promise that resolves with the principal.
+	 */
+	async authenticate(request, {roles = this.roles, scopes = this.scopes} = {}) {
+		const principal = this.verify ? await this.verify(request) : this.verifyBearer(request);
+
+		if (!principal) throw new UnauthorizedError(undefined, {headers: {"WWW-Authenticate": "Bearer"}});
+
+		request.principal = principal;
+		this.authorize(principal, {roles, scopes});
+
+		return principal;
+	}
+
+	/**
+	 * Verifies the bearer token of the specified request.
+	 * @param {ApiRequest} request The custom api request.
+	 * @returns {Object} The payload of the token.
+	 */
+	verifyBearer(request) {
+		const token = request.getBearerToken();
+
+		if (token === undefined) {
+			throw new UnauthorizedError("A bearer token is required.", {headers: {"WWW-Authenticate": "Bearer"}});
+		}
+
+		try {
+			return TokenUtils.verify(token, this.secret, {
+				issuer: this.issuer,
+				audience: this.audience,
+				algorithms: this.algorithms,
+				clockTolerance: this.clockTolerance
+			});
+		} catch (err) {
+			throw new UnauthorizedError(err.message, {
+				headers: {"WWW-Authenticate": `Bearer error="invalid_token", error_description="${err.message}"`}
+			});
+		}
+	}
+
+	/**
+	 * Checks that the specified principal has at least one of the roles and all of the scopes. Roles are read from the
+	 * roles or role property of the principal and scopes from the scopes property or the space separated scope
+	 * property. When the principal does not have them a ForbiddenError is thrown.
+	 * @param {Object} principal The principal.
+	 * @param {Object} options The requirements.
+	 * @param {Array<String>} options.roles The roles of which the principal must have at least one.
+	 * @param {Array<String>} options.scopes The scopes the principal must all have.
+	 */
+	authorize(principal, {roles = [], scopes = []} = {}) {
+		const principalRoles = [].concat(principal.roles || principal.role || []);
+		const principalScopes = typeof principal.scope === "string" ?
+			principal.scope.split(" ") :
+			principal.scopes || [];
+
+		if (roles.length > 0 && !roles.some(role => principalRoles.includes(role))) {
+			throw new ForbiddenError(`One of the roles ${roles.join(", ")} is required.`);
+		}
+
+		const missing = scopes.filter(scope => !principalScopes.includes(scope));
+
+		if (missing.length > 0) throw new ForbiddenError(`The scopes ${missing.join(", ")} are required.`);
+	}
+
+	/**
+	 * Returns middleware that authenticates every request, see {@link ApiServer#use}.
+	 * @param {Object} options The roles and scopes to require, see .authenticate().
+	 * @returns {Function} The middleware.
+	 */
+	middleware(options) {
+		return async (request, response, next) => {
+			await this.authenticate(request, options);
+
+			return next();
+		};
+	}
+}
+
+module.exports = ApiAuth;
\ No newline at end of file
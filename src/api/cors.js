@@ -0,0 +1,115 @@
+/**
+ * This is the cross-origin resource sharing (CORS) configuration for the api. It sets the CORS headers on responses
+ * to requests from allowed origins and answers preflight requests.
+ */
+class ApiCors {
+	/**
+	 * Creates a new CORS configuration with the specified options.
+	 * @param {Object} options The options for CORS.
+	 * @param {String|RegExp|Function|Array<String|RegExp>} options.origin The allowed origins: "*" for all origins, a
+	 * single origin, a regular expression, an array of origins and regular expressions, or a function that receives
+	 * the origin and the custom api request and returns if the origin is allowed. By default all origins are allowed.
+	 * @param {Array<String>} options.methods The allowed methods. By default these are the methods registered for the
+	 * requested path.
+	 * @param {Array<String>} options.allowedHeaders The allowed request headers. By default the headers requested in
+	 * a preflight are allowed.
+	 * @param {Array<String>} options.exposedHeaders The response headers that may be read by the client.
+	 * @param {Boolean} options.credentials If cookies and authorization headers may be sent. By default this is false.
+	 * Credentials can't be allowed for all origins ("*"), as any site could then make requests in the name of the
+	 * user, so the allowed origins must be given explicitly.
+	 * @param {Number} options.maxAge The number of seconds the result of a preflight may be cached.
+	 */
+	constructor({origin = "*", methods, allowedHeaders, exposedHeaders = [], credentials = false, maxAge} = {}) {
+		if (credentials && [].concat(origin).includes("*")) {
+			throw Error("Credentials can't be allowed for all origins, specify the allowed origins instead.");
+		}
+
+		this.origin = origin;
+		this.methods = methods;
+		this.allowedHeaders = allowedHeaders;
+		this.exposedHeaders = exposedHeaders;
+		this.credentials = credentials;
+		this.maxAge = maxAge;
+	}
+
+	/**
+	 * Returns if the specified request is a CORS preflight request.
+	 * @param {ApiRequest} request The custom api request.
+	 * @returns {Boolean} If the request is a preflight.
+	 */
+	static isPreflight(request) {
+		return request.method === "OPTIONS" &&
+			request.header("origin") !== undefined &&
+			request.header("access-control-request-method") !== undefined;
+	}
+
+	/**
+	 * Returns if the specified origin is allowed.
+	 * @param {String} origin The origin of the request.
+	 * @param {ApiRequest} request The custom api request.
+	 * @returns {Boolean} If the origin is allowed.
+	 */
+	isAllowed(origin, request) {
+		const matches = allowed => {
+			if (allowed instanceof RegExp) return allowed.test(origin);
+
+			return allowed === "*" || allowed === origin;
+		};
+
+		if (typeof this.origin === "function") return Boolean(this.origin(origin, request));
+		if (Array.isArray(this.origin)) return this.origin.some(matches);
+
+		return matches(this.origin);
+	}
+
+	/**
+	 * Sets the CORS headers for a request from an allowed origin. The allowed origin is sent as "*" when all origins
+	 * are allowed, otherwise the origin of the request is sent back.
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {ApiResponse} response The custom api response.
+	 * @returns {Boolean} If the origin of the request is allowed.
+	 */
+	apply(request, response) {
+		const origin = request.header("origin");
+
+		if (this.origin !== "*") response.vary("Origin");
+		if (origin === undefined || !this.isAllowed(origin, request)) return false;
+
+		response.header("Access-Control-Allow-Origin", this.origin === "*" ? "*" : origin);
+
+		if (this.credentials) response.header("Access-Control-Allow-Credentials", "true");
+		if (this.exposedHeaders.length > 0) {
+			response.header("Access-Control-Expose-Headers", this.exposedHeaders.join(", "));
+		}
+
+		return true;
+	}
+
+	/**
+	 * Answers a preflight request with a 204, allowing the specified methods unless other methods were configured.
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {ApiResponse} response The custom api response.
+	 * @param {Array<String>} methods The methods that are registered for the requested path.
+	 */
+	preflight(request, response, methods) {
+		if (this.apply(request, response)) {
+			const requestedHeaders = request.header("access-control-request-headers");
+
+			response.header("Access-Control-Allow-Methods", (this.methods || methods).join(", "));
+
+			if (this.allowedHeaders !== undefined) {
+				response.header("Access-Control-Allow-Headers", this.allowedHeaders.join(", "));
+			}
+			else if (requestedHeaders !== undefined) {
+				response.vary("Access-Control-Request-Headers");
+				response.header("Access-Control-Allow-Headers", requestedHeaders);
+			}
+
+			if (this.maxAge !== undefined) response.header("Access-Control-Max-Age", String(this.maxAge));
+		}
+
+		response.status(204).end("");
+	}
+}
+
+module.exports = ApiCors;
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * This is the base class for errors that can be thrown while handling an api request. When an api error reaches the
+ * api server it is sent to the client with the status code, name, message and data of the error.
+ */
+class ApiError extends Error {
+	/**
+	 * Creates a new api error with the specified message and options. The name of the error matches the status code
+	 * by default.
+	 * @param {String} message The message to explain the error.
+	 * @param {Object} options The options for this error.
+	 * @param {Number} options.code The error status code. By default this is 500.
+	 * @param {Object} options.data The data to go with the error.
+	 * @param {String} options.name The name of the error (matches the status code by default).
+	 * @param {Object} options.headers The headers to set on the response when sending this error.
+	 * @param {Boolean} options.expose If the message should be sent to the client. By default this is only the case
+	 * for client errors (4xx).
+	 */
+	constructor(message, {code = 500, data, name, headers = {}, expose = code < 500} = {}) {
+		super(message);
+		this.code = code;
+		this.data = data;
+		if (name !== undefined) this.name = name;
+		this.headers = headers;
+		this.expose = expose;
+	}
+}
+
+/**
+ * Creates a subclass of ApiError with a fixed status code and a default message.
+ * @param {String} className The name of the error class.
+ * @param {Number} code The status code of the error.
+ * @param {String} defaultMessage The message to use when no message is given.
+ * @returns {Function} The error class.
+ */
+const createErrorClass = (className, code, defaultMessage) => {
+	const ErrorClass = class extends ApiError {
+		/**
+		 * Creates a new api error with a fixed status code.
+		 * @param {String} message The message to explain the error.
+		 * @param {Object} options The options for this error, see {@link ApiError}.
+		 */
+		constructor(message = defaultMessage, options = {}) {
+			super(message, {...options, code});
+		}
+	};
+
+	Object.defineProperty(ErrorClass, "name", {value: className});
+
+	return ErrorClass;
+};
+
+const BadRequestError = createErrorClass("BadRequestError", 400, "The request is invalid.");
+const UnauthorizedError = createErrorClass("UnauthorizedError", 401, "Authentication is required.");
+const ForbiddenError = createErrorClass("ForbiddenError", 403, "Access to this resource is forbidden.");
+const NotFoundError = createErrorClass("NotFoundError", 404, "The requested resource was not found.");
+const MethodNotAllowedError = createErrorClass("MethodNotAllowedError", 405, "The method is not allowed.");
+const NotAcceptableError = createErrorClass("NotAcceptableError", 406, "The representation is not available.");
+const ConflictError = createErrorClass("ConflictError", 409, "The request conflicts with the resource.");
+const GoneError = createErrorClass("GoneError", 410, "The resource is no longer available.");
+const PayloadTooLargeError = createErrorClass("PayloadTooLargeError", 413, "The request body is too large.");
+const UnsupportedMediaTypeError = createErrorClass("UnsupportedMediaTypeError", 415, "Unsupported media type.");
+const TooManyRequestsError = createErrorClass("TooManyRequestsError", 429, "Too many requests have been made.");
+const InternalServerError = createErrorClass("InternalServerError", 500, "An internal server error occurred.");
+const NotImplementedError = createErrorClass("NotImplementedError", 501, "This functionality is not implemented.");
+const ServiceUnavailableError = createErrorClass("ServiceUnavailableError", 503, "The service is unavailable.");
+
+module.exports = {
+	ApiError,
+	BadRequestError,
+	UnauthorizedError,
+	ForbiddenError,
+	NotFoundError,
+	MethodNotAllowedError,
+	NotAcceptableError,
+	ConflictError,
+	GoneError,
+	PayloadTooLargeError,
+	UnsupportedMediaTypeError,
+	TooManyRequestsError,
+	InternalServerError,
+	NotImplementedError,
+	ServiceUnavailableError
+};
\ No newline at end of file
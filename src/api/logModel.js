@@ -0,0 +1,113 @@
+const ApiModel = require("./model");
+const LogReader = require("../logReader");
+const {BadRequestError} = require("./errors");
+
+/**
+ * This model exposes the log files of a {@link Logger} over the api, for example for an admin panel. It registers a
+ * GET path, by default "/logs", which returns the log entries that match the query parameters:
+ *
+ * - `level` - The least severe level to include, for example "error".
+ * - `namespace` - The namespace to include, where a `*` matches any characters.
+ * - `since` / `until` - The first and last date to include, as ISO date string or timestamp.
+ * - `text` - A text the message must contain, ignoring case.
+ * - `regex` - A regular expression the message must match, which replaces text. It may be at most 100 characters long
+ * by default, see the maxRegexLength option.
+ * - `limit` - The maximum number of entries to return. By default this is 100.
+ * - `order` - "desc" (the default) for the newest entries first or "asc" for the oldest first.
+ *
+ * Logs can contain sensitive information and searching them with regular expressions can be slow, so the path must be
+ * protected using the auth option.
+ */
+class ApiLogModel extends ApiModel {
+    /**
+     * Creates the model and registers its path.
+     * @param {ApiServer} apiServer The api to register the path on.
+     * @param {Object} options The options for the model. Other options are passed to {@link ApiServer#register}, which
+     * must include the auth option to require authentication.
+     * @param {LogReader} options.reader The reader for the log files.
+     * @param {Logger} options.logger The logger whose files are read, when no reader is given.
+     * @param {String} options.path The path to register. By default this is "/logs".
+     * @param {Number} options.maxLimit The maximum number of entries a request may return. By default this is 1000.
+     * @param {Number} options.maxRegexLength The maximum length of the regex query parameter. By default this is 100.
+     */
+    constructor(apiServer, {reader, logger, path = "/logs", maxLimit = 1000, maxRegexLength = 100, ...options} = {}) {
+        super(apiServer);
+
+        if (reader === undefined && logger === undefined) throw Error("A log reader or logger is required.");
+        if (!options.auth) throw Error("The auth option is required to protect the logs.");
+
+        this.reader = reader || LogReader.fromLogger(logger);
+        this.maxLimit = maxLimit;
+        this.maxRegexLength = maxRegexLength;
+
+        apiServer.register(path, "GET", (request, response) => this.list(request, response), options);
+    }
+
+    /**
+     * Sends the log entries that match the query parameters of the request.
+     * @param {ApiRequest} request The custom api request.
+     * @param {ApiResponse} response The custom api response.
+     * @returns {Promise} A promise that resolves when the entries have been sent.
+     */
+    async list(request, response) {
+        const entries = await this.reader.query(this.parseQuery(request));
+
+        response.send({data: {entries}});
+    }
+
+    /**
+     * Returns the filters and options for the log reader from the query parameters of the request. Invalid parameters
+     * result in a BadRequestError.
+     * @param {ApiRequest} request The custom api request.
+     * @returns {Object} The filters and options, see {@link LogReader#query}.
+     */
+    parseQuery(request) {
+        const order = request.queryString("order", "desc");
+        const limit = request.queryInteger("limit", 100);
+        const regex = request.queryString("regex");
+        const query = {
+            level: request.queryString("level"),
+            namespace: request.queryString("namespace"),
+            since: this.parseDate(request.queryString("since")),
+            until: this.parseDate(request.queryString("until")),
+            text: request.queryString("text"),
+            limit,
+            order
+        };
+
+        if (!["asc", "desc"].includes(order)) throw new BadRequestError("The order must be asc or desc.");
+        if (limit < 1 || limit > this.maxLimit) {
+            throw new BadRequestError(`The limit must be between 1 and ${this.maxLimit}.`);
+        }
+        if (regex !== undefined) {
+            if (regex.length > this.maxRegexLength) {
+                throw new BadRequestError(`The regex may be at most ${this.maxRegexLength} characters long.`);
+            }
+
+            try {
+                query.text = new RegExp(regex, "i");
+            } catch {
+                throw new BadRequestError("The regex is not a valid regular expression.");
+            }
+        }
+
+        try {
+            this.reader.createFilter(query);
+        } catch (err) {
+            throw new BadRequestError(err.message);
+        }
+
+        return query;
+    }
+
+    /**
+     * Returns the specified date query parameter as timestamp when it is a number, or as string otherwise.
+     * @param {String} value The value of the query parameter.
+     * @returns {Number|String} The date.
+     */
+    parseDate(value) {
+        return value !== undefined && /^\d+$/.test(value) ? Number(value) : value;
+    }
+}
+
+module.exports = ApiLogModel;
\ No newline at end of file
@@ -0,0 +1,57 @@
+const path = require("path");
+
+/**
+ * The MIME types of common file extensions.
+ */
+const types = {
+    ".html": "text/html; charset=utf-8",
+    ".htm": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".map": "application/json; charset=utf-8",
+    ".txt": "text/plain; charset=utf-8",
+    ".log": "text/plain; charset=utf-8",
+    ".md": "text/markdown; charset=utf-8",
+    ".csv": "text/csv; charset=utf-8",
+    ".xml": "application/xml; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".ico": "image/x-icon",
+    ".bmp": "image/bmp",
+    ".woff": "font/woff",
+    ".woff2": "font/woff2",
+    ".ttf": "font/ttf",
+    ".otf": "font/otf",
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".ogg": "audio/ogg",
+    ".mp4": "video/mp4",
+    ".webm": "video/webm",
+    ".pdf": "application/pdf",
+    ".zip": "application/zip",
+    ".gz": "application/gzip",
+    ".tar": "application/x-tar",
+    ".wasm": "application/wasm"
+};
+
+/**
+ * Returns the MIME type for the specified path based on its extension.
+ * @param {String} filePath The path or filename to get the MIME type for.
+ * @param {String} fallback The MIME type to return for unknown extensions. By default this is
+ * "application/octet-stream".
+ * @returns {String} The MIME type.
+ */
+const lookup = (filePath, fallback = "application/octet-stream") => {
+    return types[path.extname(filePath).toLowerCase()] || fallback;
+};
+
+module.exports = {
+    types, lookup
+};
\ No newline at end of file
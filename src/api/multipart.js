@@ -0,0 +1,290 @@
+const {Writable, PassThrough} = require("stream");
+const {BadRequestError, PayloadTooLargeError} = require("./errors");
+
+/**
+ * This is a streaming parser for multipart/form-data bodies. The body is written to the parser, which emits a "field"
+ * event for every field with the name, the value and the part info, and a "file" event for every file with the name,
+ * a readable stream of the file's content and the part info. The parser waits for each file stream to be read before
+ * it continues, so every file stream must be consumed (or resumed to discard it).
+ */
+class MultipartParser extends Writable {
+    /**
+     * Creates a new parser for the specified boundary, with the specified limits. When a limit is exceeded the parser
+     * errors with a PayloadTooLargeError.
+     * @param {String} boundary The boundary from the Content-Type header.
+     * @param {Object} options The limits for the parser.
+     * @param {Number} options.files The maximum number of files. By default there is no limit.
+     * @param {Number} options.fileSize The maximum size of a file in bytes. By default this is 10 MiB.
+     * @param {Number} options.totalSize The maximum size of the whole body in bytes. By default there is no limit.
+     * @param {Number} options.fields The maximum number of fields. By default there is no limit.
+     * @param {Number} options.fieldSize The maximum size of a field value in bytes. By default this is 1 MiB.
+     * @param {Number} options.headerSize The maximum size of the headers of a part in bytes. By default this is 16 KiB.
+     */
+    constructor(boundary, {
+        files = Infinity, fileSize = 10 * 1024 * 1024, totalSize = Infinity, fields = Infinity, fieldSize = 1024 * 1024,
+        headerSize = 16 * 1024
+    } = {}) {
+        super();
+        this.limits = {files, fileSize, totalSize, fields, fieldSize, headerSize};
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        // The body starts with a delimiter without the leading line break, adding it lets every delimiter match.
+        this.buffer = Buffer.from("\r\n");
+        this.state = "preamble";
+        this.size = 0;
+        this.fileCount = 0;
+        this.fieldCount = 0;
+        this.part = undefined;
+    }
+
+    /**
+     * Handles a chunk of the body. This is called by the writable stream.
+     * @param {Buffer} chunk The chunk of the body.
+     * @param {String} encoding The encoding of the chunk.
+     * @param {Function} callback The function to call when the chunk has been handled.
+     */
+    _write(chunk, encoding, callback) {
+        this.size += chunk.length;
+
+        if (this.size > this.limits.totalSize) {
+            callback(new PayloadTooLargeError(`The body is larger than ${this.limits.totalSize} bytes.`));
+
+            return;
+        }
+
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        this.process().then(() => callback(), callback);
+    }
+
+    /**
+     * Checks that the body has been completely parsed when it ends. This is called by the writable stream.
+     * @param {Function} callback The function to call when the check is done.
+     */
+    _final(callback) {
+        if (this.state !== "end") callback(new BadRequestError("The multipart body ended unexpectedly."));
+        else callback();
+    }
+
+    /**
+     * Destroys the stream of the file that is being parsed when the parser is destroyed. This is called by the
+     * writable stream.
+     * @param {Error} err The error the parser was destroyed with.
+     * @param {Function} callback The function to call when the parser has been destroyed.
+     */
+    _destroy(err, callback) {
+        if (this.part && this.part.stream) this.part.stream.destroy(err || undefined);
+
+        callback(err);
+    }
+
+    /**
+     * Parses as much of the buffered body as possible.
+     * @returns {Promise} A promise that resolves when more of the body is needed.
+     */
+    async process() {
+        while (true) {
+            if (this.state === "preamble") {
+                const index = this.buffer.indexOf(this.delimiter);
+
+                if (index < 0) {
+                    this.buffer = this.buffer.slice(Math.max(0, this.buffer.length - this.delimiter.length + 1));
+
+                    return;
+                }
+
+                this.buffer = this.buffer.slice(index + this.delimiter.length);
+                this.state = "delimiter";
+            }
+            else if (this.state === "delimiter") {
+                if (this.buffer.length < 2) return;
+
+                const next = this.buffer.slice(0, 2).toString();
+
+                if (next === "--") {
+                    this.buffer = Buffer.alloc(0);
+                    this.state = "end";
+                }
+                else if (next === "\r\n") {
+                    this.buffer = this.buffer.slice(2);
+                    this.state = "headers";
+                }
+                else throw new BadRequestError("The multipart body is malformed.");
+            }
+            else if (this.state === "headers") {
+                const index = this.buffer.indexOf("\r\n\r\n");
+
+                if (index < 0) {
+                    if (this.buffer.length > this.limits.headerSize) {
+                        throw new PayloadTooLargeError("The headers of a multipart part are too large.");
+                    }
+
+                    return;
+                }
+
+                this.startPart(this.parseHeaders(this.buffer.slice(0, index).toString()));
+                this.buffer = this.buffer.slice(index + 4);
+                this.state = "body";
+            }
+            else if (this.state === "body") {
+                const index = this.buffer.indexOf(this.delimiter);
+
+                if (index < 0) {
+                    const safeLength = this.buffer.length - this.delimiter.length + 1;
+
+                    if (safeLength > 0) {
+                        const data = this.buffer.slice(0, safeLength);
+
+                        this.buffer = this.buffer.slice(safeLength);
+                        await this.writePart(data);
+                    }
+
+                    return;
+                }
+
+                const data = this.buffer.slice(0, index);
+
+                this.buffer = this.buffer.slice(index + this.delimiter.length);
+                await this.writePart(data);
+                this.endPart();
+                this.state = "delimiter";
+            }
+            else return;
+        }
+    }
+
+    /**
+     * Parses the headers of a part.
+     * @param {String} text The headers as text.
+     * @returns {Object} The headers with lowercase names.
+     */
+    parseHeaders(text) {
+        const headers = {};
+
+        for (const line of text.split("\r\n")) {
+            const index = line.indexOf(":");
+
+            if (index < 0) continue;
+
+            headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+        }
+
+        return headers;
+    }
+
+    /**
+     * Parses the parameters of a Content-Disposition header, such as name and filename.
+     * @param {String} header The Content-Disposition header.
+     * @returns {Object} The parameters.
+     */
+    parseDisposition(header = "") {
+        const parameters = {};
+        const regex = /;\s*([^=;\s]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+        let match;
+
+        while ((match = regex.exec(header)) !== null) {
+            const key = match[1].toLowerCase();
+            let value = match[2].trim();
+
+            if (value.startsWith("\"")) value = value.slice(1, -1).replace(/\\(.)/g, "$1");
+            if (key === "filename*") {
+                const extended = /^([\w-]+)'[^']*'(.*)$/.exec(value);
+
+                try {
+                    parameters.filename = decodeURIComponent(extended ? extended[2] : value);
+                } catch {
+                    parameters.filename = value;
+                }
+
+                continue;
+            }
+            if (key === "filename" && parameters.filename !== undefined) continue;
+
+            parameters[key] = value;
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Starts a new part with the specified headers, emitting a "file" event when the part is a file.
+     * @param {Object} headers The headers of the part.
+     */
+    startPart(headers) {
+        const {name, filename} = this.parseDisposition(headers["content-disposition"]);
+
+        if (name === undefined) throw new BadRequestError("A multipart part is missing its name.");
+
+        const info = {filename, mimeType: headers["content-type"] || "text/plain", headers};
+
+        if (filename === undefined) {
+            if (++this.fieldCount > this.limits.fields) {
+                throw new PayloadTooLargeError(`There are more than ${this.limits.fields} fields.`);
+            }
+
+            this.part = {type: "field", name, info, chunks: [], size: 0};
+
+            return;
+        }
+
+        if (++this.fileCount > this.limits.files) {
+            throw new PayloadTooLargeError(`There are more than ${this.limits.files} files.`);
+        }
+
+        info.mimeType = headers["content-type"] || "application/octet-stream";
+        this.part = {type: "file", name, info, stream: new PassThrough(), size: 0};
+        this.emit("file", name, this.part.stream, info);
+    }
+
+    /**
+     * Writes the specified data to the current part, waiting for the file stream to be read when it is full.
+     * @param {Buffer} data The data to write.
+     * @returns {Promise} A promise that resolves when more data can be written.
+     */
+    writePart(data) {
+        const part = this.part;
+
+        if (data.length === 0) return Promise.resolve();
+
+        part.size += data.length;
+
+        if (part.type === "field") {
+            if (part.size > this.limits.fieldSize) {
+                throw new PayloadTooLargeError(`The field '${part.name}' exceeds ${this.limits.fieldSize} bytes.`);
+            }
+
+            part.chunks.push(data);
+
+            return Promise.resolve();
+        }
+
+        if (part.size > this.limits.fileSize) {
+            throw new PayloadTooLargeError(`The file '${part.info.filename}' exceeds ${this.limits.fileSize} bytes.`);
+        }
+
+        if (part.stream.destroyed || part.stream.write(data)) return Promise.resolve();
+
+        return new Promise(resolve => {
+            const done = () => {
+                part.stream.off("drain", done);
+                part.stream.off("close", done);
+                resolve();
+            };
+
+            part.stream.on("drain", done);
+            part.stream.on("close", done);
+        });
+    }
+
+    /**
+     * Ends the current part, emitting a "field" event when the part is a field.
+     */
+    endPart() {
+        const part = this.part;
+
+        this.part = undefined;
+
+        if (part.type === "field") this.emit("field", part.name, Buffer.concat(part.chunks).toString(), part.info);
+        else part.stream.end();
+    }
+}
+
+module.exports = MultipartParser;
\ No newline at end of file
@@ -0,0 +1,233 @@
+const {TooManyRequestsError} = require("./errors");
+
+/**
+ * This is the default store for rate limiters, which keeps the state in memory. Other stores, for example to share
+ * limits between processes, must implement the same asynchronous increment and update methods. Both must change the
+ * stored value atomically, for example using a transaction or a script, so that concurrent requests can't exceed the
+ * limit.
+ */
+class MemoryStore {
+	/**
+	 * Creates a new memory store, which removes expired entries periodically.
+	 * @param {Object} options The options for the store.
+	 * @param {Number} options.cleanupInterval The interval in milliseconds between removing expired entries. By
+	 * default this is one minute.
+	 */
+	constructor({cleanupInterval = 60 * 1000} = {}) {
+		this.entries = new Map();
+		this.timer = setInterval(() => this.cleanup(), cleanupInterval);
+
+		if (this.timer.unref) this.timer.unref();
+	}
+
+	/**
+	 * Returns the value stored for the specified key.
+	 * @param {String} key The key.
+	 * @returns {Promise<any>} A promise that resolves with the value or undefined when it is missing or expired.
+	 */
+	async get(key) {
+		const entry = this.entries.get(key);
+
+		if (entry === undefined || entry.expiresAt <= Date.now()) return;
+
+		return entry.value;
+	}
+
+	/**
+	 * Stores the value for the specified key.
+	 * @param {String} key The key.
+	 * @param {any} value The value.
+	 * @param {Number} ttl The number of milliseconds until the value expires.
+	 * @returns {Promise} A promise that resolves when the value has been stored.
+	 */
+	async set(key, value, ttl) {
+		this.entries.set(key, {value, expiresAt: Date.now() + ttl});
+	}
+
+	/**
+	 * Increments the counter for the specified key. When the counter is missing or expired a new counter is started
+	 * that expires after the specified time.
+	 * @param {String} key The key.
+	 * @param {Number} ttl The number of milliseconds until a new counter expires.
+	 * @returns {Promise<Object>} A promise that resolves with the count and the time the counter expires at.
+	 */
+	async increment(key, ttl) {
+		const now = Date.now();
+		let entry = this.entries.get(key);
+
+		if (entry === undefined || entry.expiresAt <= now) {
+			entry = {value: 0, expiresAt: now + ttl};
+			this.entries.set(key, entry);
+		}
+
+		entry.value++;
+
+		return {count: entry.value, expiresAt: entry.expiresAt};
+	}
+
+	/**
+	 * Updates the value stored for the specified key atomically, using the specified function.
+	 * @param {String} key The key.
+	 * @param {Function} update A function that receives the current value, or undefined when it is missing or expired,
+	 * and returns the new value.
+	 * @param {Number} ttl The number of milliseconds until the new value expires.
+	 * @returns {Promise<any>} A promise that resolves with the new value.
+	 */
+	async update(key, update, ttl) {
+		const entry = this.entries.get(key);
+		const value = update(entry === undefined || entry.expiresAt <= Date.now() ? undefined : entry.value);
+
+		this.entries.set(key, {value, expiresAt: Date.now() + ttl});
+
+		return value;
+	}
+
+	/**
+	 * Removes all expired entries.
+	 */
+	cleanup() {
+		const now = Date.now();
+
+		for (const [key, entry] of this.entries) {
+			if (entry.expiresAt <= now) this.entries.delete(key);
+		}
+	}
+
+	/**
+	 * Stops removing expired entries periodically.
+	 */
+	close() {
+		clearInterval(this.timer);
+	}
+}
+
+/**
+ * This is a rate limiter for the api, which limits how many requests a client can make. It can be used for all paths
+ * using its middleware, see {@link ApiServer#use}, or for a single path using the rateLimit option of
+ * {@link ApiServer#register}. Two strategies are supported:
+ *
+ * - `fixed-window` - Allows limit requests per window, counting from the first request in the window.
+ * - `token-bucket` - Allows bursts of up to limit requests, refilling limit requests evenly over the window.
+ *
+ * The RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers are set on every response and a limited request
+ * results in a 429 with a Retry-After header.
+ */
+class ApiRateLimiter {
+	/**
+	 * Creates a new rate limiter with the specified options.
+	 * @param {Object} options The options for the rate limiter.
+	 * @param {String} options.strategy The strategy: "fixed-window" (the default) or "token-bucket".
+	 * @param {Number} options.limit The number of requests allowed per window. By default this is 60.
+	 * @param {Number} options.window The length of the window in milliseconds. By default this is one minute.
+	 * @param {String|Function} options.key How clients are identified: "ip" (the default) for the address of the
+	 * client, "token" for the bearer token (or the address when there is no token) or a function that receives the
+	 * custom api request and returns the key.
+	 * @param {Object} options.store The store for the state, see {@link MemoryStore}. By default it is kept in memory.
+	 * @param {String} options.prefix The prefix for keys in the store, to share a store between rate limiters.
+	 * @param {Function} options.skip A function that receives the custom api request and returns if it shouldn't be
+	 * limited.
+	 */
+	constructor({
+		strategy = "fixed-window", limit = 60, window = 60 * 1000, key = "ip", store = new MemoryStore(),
+		prefix = "ratelimit:", skip
+	} = {}) {
+		if (!["fixed-window", "token-bucket"].includes(strategy)) throw Error(`Unknown strategy '${strategy}'.`);
+
+		this.strategy = strategy;
+		this.limit = limit;
+		this.window = window;
+		this.key = key;
+		this.store = store;
+		this.prefix = prefix;
+		this.skip = skip;
+	}
+
+	/**
+	 * Returns the key that identifies the client of the specified request.
+	 * @param {ApiRequest} request The custom api request.
+	 * @returns {String} The key.
+	 */
+	getKey(request) {
+		if (typeof this.key === "function") return String(this.key(request));
+		if (this.key === "token") {
+			const token = request.getBearerToken();
+
+			return token === undefined ? `ip:${request.ip}` : `token:${token}`;
+		}
+
+		return `ip:${request.ip}`;
+	}
+
+	/**
+	 * Counts a request for the specified key.
+	 * @param {String} key The key of the client.
+	 * @returns {Promise<Object>} A promise that resolves with if the request is allowed, the limit, the remaining
+	 * number of requests and the number of seconds until the limit resets.
+	 */
+	async consume(key) {
+		const storeKey = this.prefix + key;
+
+		if (this.strategy === "fixed-window") {
+			const {count, expiresAt} = await this.store.increment(storeKey, this.window);
+
+			return {
+				allowed: count <= this.limit,
+				limit: this.limit,
+				remaining: Math.max(0, this.limit - count),
+				reset: Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000))
+			};
+		}
+
+		const rate = this.limit / this.window;
+		const {tokens: remaining, allowed} = await this.store.update(storeKey, bucket => {
+			const now = Date.now();
+			const current = bucket || {tokens: this.limit, updatedAt: now};
+			const tokens = Math.min(this.limit, current.tokens + (now - current.updatedAt) * rate);
+			const allowed = tokens >= 1;
+
+			return {tokens: allowed ? tokens - 1 : tokens, updatedAt: now, allowed};
+		}, this.window);
+
+		return {
+			allowed,
+			limit: this.limit,
+			remaining: Math.floor(remaining),
+			reset: Math.ceil((allowed ? this.limit - remaining : 1 - remaining) / rate / 1000)
+		};
+	}
+
+	/**
+	 * Checks the rate limit for the specified request and sets the rate limit headers on the response. When the
+	 * request is limited a TooManyRequestsError is thrown.
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {ApiResponse} response The custom api response.
+	 * @returns {Promise} A promise that resolves when the request is allowed.
+	 */
+	async check(request, response) {
+		if (this.skip && await this.skip(request)) return;
+
+		const {allowed, limit, remaining, reset} = await this.consume(this.getKey(request));
+
+		response.header("RateLimit-Limit", String(limit));
+		response.header("RateLimit-Remaining", String(remaining));
+		response.header("RateLimit-Reset", String(reset));
+
+		if (!allowed) throw new TooManyRequestsError(undefined, {headers: {"Retry-After": String(reset)}});
+	}
+
+	/**
+	 * Returns middleware that checks the rate limit for every request, see {@link ApiServer#use}.
+	 * @returns {Function} The middleware.
+	 */
+	middleware() {
+		return async (request, response, next) => {
+			await this.check(request, response);
+
+			return next();
+		};
+	}
+}
+
+ApiRateLimiter.MemoryStore = MemoryStore;
+
+module.exports = ApiRateLimiter;
\ No newline at end of file
@@ -1,38 +1,369 @@
 const {IncomingMessage} = require("http");
+const {URL} = require("url");
+const {Transform, pipeline} = require("stream");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const FSUtils = require("../fs");
+const MultipartParser = require("./multipart");
 const ApiResponse = require("./response");
+const SchemaUtils = require("../schema");
+const {BadRequestError, PayloadTooLargeError, UnsupportedMediaTypeError} = require("./errors");
 
 /**
  * This is a custom api request class, extending the capabilities of an IncomingMessage.
  */
 class ApiRequest {
     /**
-     * Sets the internal value for the IncomingMessage.
+     * Sets the internal value for the IncomingMessage and parses the url of the request.
      * @param {IncomingMessage} req The IncomingMessage for this request.
+     * @param {Object} options The options for this request.
+     * @param {URL} options.url The parsed url of the request. By default it is parsed from the IncomingMessage.
+     * @param {Boolean|Array<String>|Function} options.trustProxy Which proxies are trusted to set the X-Forwarded-For
+     * header: true to trust all, an array of trusted addresses or a function that receives an address and returns if 
+     * it is trusted. By default no proxies are trusted.
+     * @param {Number} options.limit The maximum size of the body in bytes. By default this is 1 MiB.
      */
-    constructor(req) {
+    constructor(req, {url = new URL(req.url, "http://localhost/"), trustProxy = false, limit = 1024 * 1024} = {}) {
         this.req = req;
+        this.limit = limit;
+        this.url = url;
+        this.path = url.pathname;
+        this.method = req.method;
+        this.query = ApiRequest.parseParams(url.searchParams);
+        this.trustProxy = trustProxy;
+        this.cleanupTasks = [];
     }
 
     /**
-     * Returns the body of the IncomingMessage as an object asynchronously.
+     * Adds a task that is run when the request has ended, for example to remove temporary files.
+     * @param {Function} task The task to run, which may return a promise.
+     */
+    onCleanup(task) {
+        this.cleanupTasks.push(task);
+    }
+
+    /**
+     * Runs the cleanup tasks of this request. This is called by the api server when the response has been closed.
+     * @returns {Promise<Array<Error>>} A promise that resolves with the errors of the tasks that failed.
+     */
+    async cleanup() {
+        const tasks = this.cleanupTasks;
+        const errors = [];
+
+        this.cleanupTasks = [];
+
+        for (const task of tasks) {
+            try {
+                await task();
+            } catch (err) {
+                errors.push(err);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Converts the specified URLSearchParams to an object. When a key occurs more than once its values are combined 
+     * into an array.
+     * @param {URLSearchParams} params The params to convert.
+     * @returns {Object} The params as object.
+     */
+    static parseParams(params) {
+        const data = {};
+
+        for (const [key, value] of params) {
+            if (!Object.prototype.hasOwnProperty.call(data, key)) data[key] = value;
+            else if (Array.isArray(data[key])) data[key].push(value);
+            else data[key] = [data[key], value];
+        }
+
+        return data;
+    }
+
+    /**
+     * Returns the value of the specified query parameter as string. When the parameter occurs more than once the first
+     * value is returned.
+     * @param {String} key The query parameter.
+     * @param {String} fallback The value to return when the parameter is missing.
+     * @returns {String} The value of the parameter.
+     */
+    queryString(key, fallback) {
+        const value = this.query[key];
+
+        if (value === undefined) return fallback;
+
+        return Array.isArray(value) ? value[0] : value;
+    }
+
+    /**
+     * Returns the value of the specified query parameter as number.
+     * @param {String} key The query parameter.
+     * @param {Number} fallback The value to return when the parameter is missing or not a number.
+     * @returns {Number} The value of the parameter.
+     */
+    queryNumber(key, fallback) {
+        const value = this.queryString(key);
+
+        if (value === undefined || value.trim() === "" || isNaN(Number(value))) return fallback;
+
+        return Number(value);
+    }
+
+    /**
+     * Returns the value of the specified query parameter as integer.
+     * @param {String} key The query parameter.
+     * @param {Number} fallback The value to return when the parameter is missing or not an integer.
+     * @returns {Number} The value of the parameter.
+     */
+    queryInteger(key, fallback) {
+        const value = this.queryNumber(key);
+
+        return Number.isInteger(value) ? value : fallback;
+    }
+
+    /**
+     * Returns the value of the specified query parameter as boolean. The values "true", "1", "yes" and "on" are true,
+     * "false", "0", "no" and "off" are false. A parameter without a value, as in "?verbose", is true.
+     * @param {String} key The query parameter.
+     * @param {Boolean} fallback The value to return when the parameter is missing or not a boolean.
+     * @returns {Boolean} The value of the parameter.
+     */
+    queryBoolean(key, fallback) {
+        const value = this.queryString(key);
+
+        if (value === undefined) return fallback;
+
+        const normalized = value.toLowerCase();
+
+        if (["", "true", "1", "yes", "on"].includes(normalized)) return true;
+        if (["false", "0", "no", "off"].includes(normalized)) return false;
+
+        return fallback;
+    }
+
+    /**
+     * Returns all values of the specified query parameter as array.
+     * @param {String} key The query parameter.
+     * @returns {Array<String>} The values of the parameter, which is empty when the parameter is missing.
+     */
+    queryArray(key) {
+        const value = this.query[key];
+
+        if (value === undefined) return [];
+
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Returns the value of the specified header. The name of the header is case-insensitive.
+     * @param {String} name The name of the header.
+     * @returns {String|Array<String>} The value of the header.
+     */
+    header(name) {
+        return this.req.headers[name.toLowerCase()];
+    }
+
+    /**
+     * The cookies of this request as an object, parsed from the Cookie header.
+     * @returns {Object} The cookies.
+     */
+    get cookies() {
+        if (this.cookieData) return this.cookieData;
+
+        this.cookieData = {};
+
+        for (const pair of (this.header("cookie") || "").split(";")) {
+            const index = pair.indexOf("=");
+
+            if (index < 0) continue;
+
+            const name = pair.substring(0, index).trim();
+            let value = pair.substring(index + 1).trim();
+
+            if (value.startsWith("\"") && value.endsWith("\"")) value = value.slice(1, -1);
+            if (name === "" || this.cookieData[name] !== undefined) continue;
+
+            try {
+                this.cookieData[name] = decodeURIComponent(value);
+            } catch {
+                this.cookieData[name] = value;
+            }
+        }
+
+        return this.cookieData;
+    }
+
+    /**
+     * The address of the client. When the request comes from a trusted proxy the X-Forwarded-For header is used to 
+     * find the address of the client, walking back from the closest proxy until an untrusted address is found.
+     * @returns {String} The address of the client.
+     */
+    get ip() {
+        const forwarded = (this.header("x-forwarded-for") || "")
+            .split(",")
+            .map(address => address.trim())
+            .filter(address => address !== "")
+            .reverse();
+        const addresses = [this.req.socket.remoteAddress, ...forwarded];
+        let index = 0;
+
+        while (index < addresses.length - 1 && this.isTrustedProxy(addresses[index])) index++;
+
+        return addresses[index];
+    }
+
+    /**
+     * Returns if the specified address is a trusted proxy, see the trustProxy option in the constructor.
+     * @param {String} address The address to check.
+     * @returns {Boolean} If the address is trusted.
+     */
+    isTrustedProxy(address) {
+        if (typeof this.trustProxy === "function") return this.trustProxy(address);
+        if (Array.isArray(this.trustProxy)) {
+            return this.trustProxy.includes(address) || this.trustProxy.includes(address.replace(/^::ffff:/, ""));
+        }
+
+        return this.trustProxy === true;
+    }
+
+    /**
+     * Returns which of the specified content types is preferred by the client, based on the Accept header. Types may 
+     * contain wildcards in the Accept header, such as "text/*". When the request has no Accept header the first type 
+     * is returned.
+     * @param {...String} types The content types that can be sent, for example "application/json".
+     * @returns {String|Boolean} The preferred content type or false when none of the types is acceptable.
+     */
+    accepts(...types) {
+        const header = this.header("accept");
+
+        if (header === undefined || header.trim() === "") return types.length > 0 ? types[0] : false;
+
+        const ranges = header.split(",").map((part, index) => {
+            const [range, ...params] = part.trim().toLowerCase().split(";").map(value => value.trim());
+            const quality = params.find(param => param.startsWith("q="));
+
+            return {range, quality: quality ? Number(quality.substring(2)) : 1, index};
+        });
+        let best = {type: false, quality: 0};
+
+        for (const type of types) {
+            const [mainType, subType] = type.toLowerCase().split("/");
+            const match = ranges
+                .filter(({range}) => {
+                    const [mainRange, subRange] = range.split("/");
+
+                    return (mainRange === "*" || mainRange === mainType) && (subRange === "*" || subRange === subType);
+                })
+                .sort((a, b) => {
+                    return this.rangeSpecificity(b.range) - this.rangeSpecificity(a.range) || a.index - b.index;
+                })[0];
+
+            if (match !== undefined && match.quality > best.quality) best = {type, quality: match.quality};
+        }
+
+        return best.type;
+    }
+
+    /**
+     * Returns how specific the specified media range is, so that "text/html" is preferred over "text/*" and "*\/*".
+     * @param {String} range The media range.
+     * @returns {Number} The specificity of the range.
+     */
+    rangeSpecificity(range) {
+        return range.split("/").filter(part => part !== "*").length;
+    }
+
+    /**
+     * Returns the body of the IncomingMessage as an object asynchronously. An empty body results in an empty object.
+     * When the body is not valid JSON a BadRequestError is thrown.
      * @returns {Promise<Object>} A promise that is resolved when the body is loaded and parsed to an object.
      */
     async bodyAsJSON() {
-        if (this.bodyJSON) return this.bodyJSON
+        if (this.bodyJSON) return this.bodyJSON;
+
+        const text = await this.text();
+
+        if (text.trim() === "") return this.bodyJSON = {};
+
         try {
-            this.bodyJSON = JSON.parse(await this.body().catch(e => {throw e}));
-        } catch {
-            this.bodyJSON = {};
+            this.bodyJSON = JSON.parse(text);
+        } catch (err) {
+            throw new BadRequestError(`The request body is not valid JSON: ${err.message}`);
         }
         return this.bodyJSON;
     }
 
+    /**
+     * Returns the body of the IncomingMessage as text asynchronously, decoded using the charset in the Content-Type 
+     * header (UTF-8 by default).
+     * @returns {Promise<String>} A promise that resolves with the body as text.
+     */
+    async text() {
+        const {charset = "utf-8"} = this.contentType().parameters;
+        const encoding = charset.toLowerCase().replace(/^iso-8859-1$/, "latin1");
+
+        if (!Buffer.isEncoding(encoding)) throw new BadRequestError(`Unsupported charset '${charset}'.`);
+
+        return (await this.body()).toString(encoding);
+    }
+
+    /**
+     * Returns the urlencoded form in the body of the IncomingMessage as an object asynchronously. When a key occurs 
+     * more than once its values are combined into an array.
+     * @returns {Promise<Object>} A promise that resolves with the form as object.
+     */
+    async form() {
+        return ApiRequest.parseParams(new URLSearchParams(await this.text()));
+    }
+
+    /**
+     * Parses the body of the IncomingMessage based on its Content-Type header: JSON types are parsed as object, 
+     * urlencoded forms as object, text types as string and all other types are returned as Buffer.
+     * @returns {Promise<Object|String|Buffer>} A promise that resolves with the parsed body.
+     */
+    async parse() {
+        const {type} = this.contentType();
+
+        if (type === "application/json" || type.endsWith("+json")) return this.bodyAsJSON();
+        if (type === "application/x-www-form-urlencoded") return this.form();
+        if (type.startsWith("text/")) return this.text();
+
+        return this.body();
+    }
+
+    /**
+     * Returns the media type and parameters of the Content-Type header. The media type is lowercase and an empty string
+     * when there is no Content-Type header.
+     * @returns {Object} An object with the media type as type and the parameters, like charset, as parameters.
+     */
+    contentType() {
+        const [type, ...parameters] = (this.header("content-type") || "").split(";");
+
+        return {
+            type: type.trim().toLowerCase(),
+            parameters: parameters.reduce((result, parameter) => {
+                const index = parameter.indexOf("=");
+
+                if (index < 0) return result;
+
+                const value = parameter.substring(index + 1).trim();
+
+                result[parameter.substring(0, index).trim().toLowerCase()] = value.replace(/^"(.*)"$/, "$1");
+
+                return result;
+            }, {})
+        };
+    }
+
     /**
      * Returns the token that is in the Authorization header and is of type Bearer.
      * @returns {String} The bearer authorization credentials. 
      */
     getBearerToken() {
-        let authorization = this.req.headers["authorization"];
+        let authorization = this.header("authorization");
 
         if(authorization === undefined) return;
 
@@ -43,41 +374,298 @@ class ApiRequest {
         return authorization[1];
     }
 
+    /**
+     * Returns the credentials that are in the Authorization header and are of type Basic.
+     * @returns {Object} An object with the username and password, or undefined when there are no basic credentials.
+     */
+    getBasicAuth() {
+        const authorization = this.header("authorization");
+
+        if (authorization === undefined) return;
+
+        const [type, credentials] = authorization.trim().split(/\s+/);
+
+        if (type.toLowerCase() !== "basic" || credentials === undefined) return;
+
+        const decoded = Buffer.from(credentials, "base64").toString();
+        const index = decoded.indexOf(":");
+
+        if (index < 0) return;
+
+        return {username: decoded.substring(0, index), password: decoded.substring(index + 1)};
+    }
+
     /**
      * Returns the body of the IncomingMessage as a Buffer asynchronously. Because the body can only be loaded once it 
-     * is cached when it has been loaded the first time.
+     * is cached when it has been loaded the first time. When the body is larger than the limit a PayloadTooLargeError 
+     * is thrown, and when the request fails while loading the body the error of the request is thrown.
      * @return {Promise<Buffer>} A promise that resolves with the body as Buffer when it is loaded.
      */
     async body() {
-        if(this.bodyData) return this.bodyData;
+        if (this.bodyData) return this.bodyData;
+        if (this.streaming) throw Error("The body is already being streamed.");
+        if (this.bodyPromise === undefined) this.bodyPromise = this.readBody();
+
+        return this.bodyData = await this.bodyPromise;
+    }
+
+    /**
+     * Reads the body of the IncomingMessage into a Buffer, enforcing the body size limit.
+     * @returns {Promise<Buffer>} A promise that resolves with the body as Buffer.
+     */
+    readBody() {
+        const length = Number(this.header("content-length"));
+
+        if (length > this.limit) {
+            this.req.resume();
+
+            return Promise.reject(this.tooLargeError());
+        }
 
-        return this.bodyData = await new Promise(resolve => {
-            let data = Buffer.from([]);
-            this.req.on("data", chunk => data = Buffer.concat([data, chunk]));
-            this.req.on("end", () => resolve(data));
-        }).catch(e => {throw e});
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            const cleanup = () => {
+                this.req.off("data", onData);
+                this.req.off("end", onEnd);
+                this.req.off("error", onError);
+                this.req.off("aborted", onAborted);
+            };
+            const onData = chunk => {
+                size += chunk.length;
+
+                if (size > this.limit) {
+                    cleanup();
+                    this.req.resume();
+                    reject(this.tooLargeError());
+
+                    return;
+                }
+
+                chunks.push(chunk);
+            };
+            const onEnd = () => {
+                cleanup();
+                resolve(Buffer.concat(chunks, size));
+            };
+            const onError = err => {
+                cleanup();
+                reject(err);
+            };
+            const onAborted = () => onError(Error("The request was aborted."));
+
+            this.req.on("data", onData);
+            this.req.on("end", onEnd);
+            this.req.on("error", onError);
+            this.req.on("aborted", onAborted);
+        });
     }
-    
+
+    /**
+     * Returns the body of the IncomingMessage as a stream, without loading it into memory. This can be used to pipe 
+     * large uploads to disk. The stream errors with a PayloadTooLargeError when more than the limit is read. After 
+     * streaming the body it can't be loaded using the other body methods.
+     * @param {Object} options The options for streaming.
+     * @param {Number} options.limit The maximum size of the body in bytes. By default this is the body limit of the 
+     * request, use Infinity for no limit.
+     * @returns {stream.Readable} The body as stream.
+     */
+    stream({limit = this.limit} = {}) {
+        if (this.bodyPromise !== undefined) throw Error("The body has already been loaded.");
+
+        this.streaming = true;
+
+        let size = 0;
+        const request = this;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+
+                if (size > limit) callback(request.tooLargeError(limit));
+                else callback(null, chunk);
+            }
+        });
+
+        this.req.on("error", err => counter.destroy(err));
+        this.req.on("aborted", () => counter.destroy(Error("The request was aborted.")));
+
+        return this.req.pipe(counter);
+    }
+
+    /**
+     * Parses a multipart/form-data body as a stream of parts, without loading it into memory. Each part is an object 
+     * with its type ("field" or "file"), name, mimeType and headers. Fields have a value and files have a filename and 
+     * a readable stream of their content. A file stream that hasn't been read when the next part is requested is
+     * discarded. See {@link MultipartParser} for the limits that can be set. The size of the whole body is limited to 
+     * the body limit of the request, unless another totalSize is given.
+     * @example
+     * for await (const part of request.parts({files: 1, fileSize: 10 * 1024 * 1024})) {
+     *     if (part.type === "file") await pipe(part.stream, fs.createWriteStream(target));
+     * }
+     * @param {Object} limits The limits for parsing, see {@link MultipartParser}.
+     * @returns {AsyncGenerator<Object>} The parts of the body.
+     */
+    async *parts({totalSize = this.limit, ...limits} = {}) {
+        const {type, parameters} = this.contentType();
+
+        if (type !== "multipart/form-data") throw new UnsupportedMediaTypeError("Expected a multipart/form-data body.");
+        if (!parameters.boundary) throw new BadRequestError("The multipart boundary is missing.");
+
+        const parser = new MultipartParser(parameters.boundary, {totalSize, ...limits});
+        const queue = [];
+        let finished = false;
+        let error;
+        let wake = () => {};
+
+        const push = part => {
+            queue.push(part);
+            wake();
+        };
+
+        parser.on("field", (name, value, info) => push({type: "field", name, value, ...info}));
+        parser.on("file", (name, stream, info) => {
+            // Errors of the parser are thrown by the generator, so the file stream may be left without listeners.
+            stream.on("error", () => {});
+            push({type: "file", name, stream, ...info});
+        });
+        parser.on("finish", () => {
+            finished = true;
+            wake();
+        });
+        parser.on("error", err => {
+            error = err;
+            wake();
+        });
+
+        const body = this.stream({limit: totalSize});
+
+        body.on("error", err => parser.destroy(err));
+        body.pipe(parser);
+
+        try {
+            while (true) {
+                if (queue.length > 0) {
+                    const part = queue.shift();
+
+                    yield part;
+
+                    if (part.type === "file" && !part.stream.readableEnded && part.stream.readableFlowing === null) {
+                        part.stream.resume();
+                    }
+                }
+                else if (error !== undefined) throw error;
+                else if (finished) return;
+                else await new Promise(resolve => wake = resolve);
+            }
+        } finally {
+            if (!finished) {
+                body.unpipe(parser);
+                parser.destroy();
+                this.req.resume();
+            }
+        }
+    }
+
+    /**
+     * Parses a multipart/form-data body, storing the files in a temporary folder. The temporary folder is removed 
+     * automatically when the request has ended. Fields that occur more than once are combined into an array.
+     * @param {Object} options The options for parsing, which may also contain the limits, see {@link MultipartParser}.
+     * @param {String} options.tempFolder The folder to create the temporary folder in. By default this is the 
+     * temporary folder of the operating system.
+     * @returns {Promise<Object>} A promise that resolves with the fields as object and the files as array, where each
+     * file has its name, filename, mimeType, size and the path it is stored at.
+     */
+    async multipart({tempFolder = os.tmpdir(), ...limits} = {}) {
+        const fields = {};
+        const files = [];
+        let folder;
+
+        for await (const part of this.parts(limits)) {
+            if (part.type === "field") {
+                if (fields[part.name] === undefined) fields[part.name] = part.value;
+                else if (Array.isArray(fields[part.name])) fields[part.name].push(part.value);
+                else fields[part.name] = [fields[part.name], part.value];
+
+                continue;
+            }
+
+            if (folder === undefined) {
+                folder = await FSUtils.createTempFolder(path.join(tempFolder, "ijo-upload-"));
+                this.onCleanup(() => FSUtils.remove(folder));
+            }
+
+            const filePath = path.join(folder, String(files.length));
+
+            await util.promisify(pipeline)(part.stream, fs.createWriteStream(filePath));
+
+            files.push({
+                name: part.name,
+                filename: part.filename,
+                mimeType: part.mimeType,
+                size: (await FSUtils.stat(filePath)).size,
+                path: filePath
+            });
+        }
+
+        return {fields, files};
+    }
+
+    /**
+     * Creates the error for a body that is too large.
+     * @param {Number} limit The maximum size of the body in bytes.
+     * @returns {PayloadTooLargeError} The error.
+     */
+    tooLargeError(limit = this.limit) {
+        return new PayloadTooLargeError(`The request body is larger than the limit of ${limit} bytes.`);
+    }
+
+    /**
+     * Validates the body of the request against the specified schema, see {@link SchemaUtils.validate}. When the body
+     * is invalid a BadRequestError is thrown, which results in a single 400 response listing every error with the JSON 
+     * path of the offending value. Otherwise the validated body, with defaults applied and values converted to the 
+     * types in the schema, is returned and also stored as validBody.
+     * @param {Object} schema The schema to validate against.
+     * @returns {Promise<Object>} A promise that resolves with the validated body.
+     */
+    async validate(schema) {
+        const isForm = this.contentType().type === "application/x-www-form-urlencoded";
+        const body = isForm ? await this.form() : await this.bodyAsJSON();
+        const {valid, value, errors} = SchemaUtils.validate(schema, body);
+
+        if (!valid) throw new BadRequestError("The request body is invalid.", {data: {errors}});
+
+        return this.validBody = value;
+    }
+
     /**
      * Test if a given key is valid. 
      * 
-     * Return true if the key is valid and matches the type given, otherwise returns false
+     * Return true if the key is valid and matches the type given, otherwise sends an error and returns false.
+     * @deprecated Use .validate() instead, which checks the whole body at once.
      * @param {ApiResponse} res The response object
      * @param {string} key The key to validate
      * @param {string} type The expected type of the key (optional)
+     * @returns {Promise<Boolean>} A promise that resolves with if the key is valid.
      */
     async isValidKey(res, key, type=undefined) {
         const body = await this.bodyAsJSON();
-        if (body && body[key] != undefined) {
-            if (typeof(body[key]) == type || type == undefined) {
-                return true;
-            }
+
+        if (!body || body[key] === undefined) {
+            res.sendError({message: `Missing required key: '${key}'`, code: 400});
+
+            return false;
+        }
+        if (type !== undefined && typeof(body[key]) !== type) {
             res.sendError({
                 message: `Invalid Data: '${key}' is of incorrect type; expected '${type}', received '${typeof(body[key])}'`,
                 code: 400
             });
+
+            return false;
         }
-        res.sendError({message: `Missing required key: '${key}'`, code: 400});
+
+        return true;
     }
 }
 
@@ -1,4 +1,33 @@
 const {ServerResponse} = require("http");
+const fs = require("fs");
+const zlib = require("zlib");
+const {pipeline} = require("stream");
+const FSUtils = require("../fs");
+const CryptoUtils = require("../crypto");
+const MimeUtils = require("./mime");
+const {NotFoundError} = require("./errors");
+
+/**
+ * Matches the characters that must be encoded in an url: characters that are not allowed and percent signs that don't 
+ * start a percent-escape.
+ */
+const unencodedCharacters = /(?:[^\x21\x23-\x3B\x3D\x3F-\x5F\x61-\x7A\x7C\x7E]|%(?![0-9A-Fa-f]{2}))+/g;
+
+/**
+ * Matches unpaired surrogates, which can't be encoded.
+ */
+const unpairedSurrogates = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Encodes the specified url for a header like Location. Characters that are not allowed in an url are encoded, but 
+ * existing percent-escapes are kept, so an url that is already encoded isn't encoded again. Unpaired surrogates are 
+ * replaced by the replacement character.
+ * @param {String} url The url to encode.
+ * @returns {String} The encoded url.
+ */
+const encodeUrl = url => {
+    return String(url).replace(unpairedSurrogates, "\uFFFD").replace(unencodedCharacters, encodeURI);
+}
 
 /**
  * This is a custom api response class, extending the capabilities of an ServerResponse.
@@ -7,9 +36,28 @@ class ApiResponse {
     /**
      * Sets the internal value for the ServerResponse.
      * @param {ServerResponse} res The ServerResponse for this request.
+     * @param {ApiRequest} request The custom api request this is the response to (optional). This is used for
+     * request headers like Range.
+     * @param {Object} options The options for this response.
+     * @param {Boolean|Object} options.compression If bodies should be compressed when the client accepts it. This is 
+     * disabled by default. Set to true or an object to enable it.
+     * @param {Number} options.compression.threshold The minimum size of a body in bytes before it is compressed. By 
+     * default this is 1024.
+     * @param {Array<String>} options.compression.encodings The encodings to use, in order of preference. By default 
+     * these are "br", "gzip" and "deflate".
+     * @param {Boolean} options.etag If a weak ETag should be generated for bodies, so that a request with a matching 
+     * If-None-Match header is answered with a 304. By default this is true.
      */
-    constructor(res) {
+    constructor(res, request, {compression = false, etag = true} = {}) {
         this.res = res;
+        this.request = request;
+        this.compression = compression === false ? false : {
+            threshold: 1024,
+            encodings: ["br", "gzip", "deflate"],
+            ...(compression === true ? {} : compression)
+        };
+        this.etag = etag;
+        this.sent = false;
     }
 
     /**
@@ -38,6 +86,9 @@ class ApiResponse {
             408: "Request Timeout",
             409: "Conflict",
             410: "Gone",
+            413: "Payload Too Large",
+            415: "Unsupported Media Type",
+            416: "Range Not Satisfiable",
             429: "Too Many Request",
             500: "Internal Server Error",
             501: "Not Implemented",
@@ -69,14 +120,401 @@ class ApiResponse {
 
     /**
      * Sends a response with the specified options to end the request. Data can be sent using the data option and the 
-     * status code is set using the code option.
+     * status code is set using the code option. The data is sent as JSON.
      * @param {Object} options The options for this response.
      * @param {Object} options.data The data for the response.
      * @param {Number} options.code The status code.
      */
     send({data = {}, code = 200} = {}) {
+        this.status(code).json(data);
+    }
+
+    /**
+     * Sets the status code of the response.
+     * @param {Number} code The status code.
+     * @returns {ApiResponse} This response, for chaining.
+     */
+    status(code) {
         this.res.statusCode = code;
-        this.res.end(JSON.stringify(data));
+
+        return this;
+    }
+
+    /**
+     * Sets the specified header of the response, replacing an existing value.
+     * @param {String} name The name of the header.
+     * @param {String|Number|Array<String>} value The value of the header.
+     * @returns {ApiResponse} This response, for chaining.
+     */
+    header(name, value) {
+        this.res.setHeader(name, value);
+
+        return this;
+    }
+
+    /**
+     * Adds a cookie to the response using a Set-Cookie header.
+     * @param {String} name The name of the cookie.
+     * @param {String} value The value of the cookie, which is URL-encoded.
+     * @param {Object} options The options for the cookie.
+     * @param {Number} options.maxAge The number of seconds until the cookie expires.
+     * @param {Date} options.expires The date at which the cookie expires.
+     * @param {String} options.path The path of the cookie. By default this is "/".
+     * @param {String} options.domain The domain of the cookie.
+     * @param {Boolean} options.secure If the cookie may only be sent over HTTPS.
+     * @param {Boolean} options.httpOnly If the cookie is hidden from scripts. By default this is true.
+     * @param {String} options.sameSite The SameSite policy of the cookie: "Strict", "Lax" or "None".
+     * @returns {ApiResponse} This response, for chaining.
+     */
+    setCookie(name, value, {maxAge, expires, path = "/", domain, secure, httpOnly = true, sameSite} = {}) {
+        const parts = [`${name}=${encodeURIComponent(value)}`];
+
+        if (maxAge !== undefined) parts.push(`Max-Age=${Math.floor(maxAge)}`);
+        if (expires !== undefined) parts.push(`Expires=${expires.toUTCString()}`);
+        if (path) parts.push(`Path=${path}`);
+        if (domain) parts.push(`Domain=${domain}`);
+        if (secure) parts.push("Secure");
+        if (httpOnly) parts.push("HttpOnly");
+        if (sameSite) parts.push(`SameSite=${sameSite}`);
+
+        const existing = this.res.getHeader("Set-Cookie");
+        const cookies = existing === undefined ? [] : [].concat(existing);
+
+        this.res.setHeader("Set-Cookie", [...cookies, parts.join("; ")]);
+
+        return this;
+    }
+
+    /**
+     * Removes a cookie from the client by setting it to an expired, empty value.
+     * @param {String} name The name of the cookie.
+     * @param {Object} options The options for the cookie, which must match the path and domain it was set with.
+     * @returns {ApiResponse} This response, for chaining.
+     */
+    clearCookie(name, options = {}) {
+        return this.setCookie(name, "", {...options, maxAge: undefined, expires: new Date(0)});
+    }
+
+    /**
+     * Sends the specified data as JSON to end the request.
+     * @param {any} data The data to send.
+     */
+    json(data) {
+        this.end(JSON.stringify(data), "application/json; charset=utf-8");
+    }
+
+    /**
+     * Sends the specified text to end the request.
+     * @param {String} text The text to send.
+     */
+    text(text) {
+        this.end(String(text), "text/plain; charset=utf-8");
+    }
+
+    /**
+     * Sends the specified HTML to end the request.
+     * @param {String} html The HTML to send.
+     */
+    html(html) {
+        this.end(String(html), "text/html; charset=utf-8");
+    }
+
+    /**
+     * Redirects the client to the specified url. The url is encoded, keeping existing percent-escapes.
+     * @param {String} url The url to redirect to.
+     * @param {Number} code The status code, by default this is 302.
+     */
+    redirect(url, code = 302) {
+        this.status(code).header("Location", encodeUrl(url)).end("");
+    }
+
+    /**
+     * Ends the request with the specified body. The Content-Type header is set to the specified type, unless it has
+     * already been set, and the Content-Length header is set to the size of the body. When enabled a weak ETag is 
+     * generated, in which case a 304 is sent when the client already has the body, and the body is compressed when it
+     * is large enough and the client accepts it. A response can only be sent once, sending it again throws an error.
+     * @param {String|Buffer} body The body to send.
+     * @param {String} type The content type of the body.
+     */
+    end(body, type = "application/octet-stream") {
+        this.markSent();
+
+        const buffer = Buffer.from(body);
+
+        if (!this.res.hasHeader("Content-Type") && buffer.length > 0) this.res.setHeader("Content-Type", type);
+
+        if (this.etag && this.res.statusCode === 200 && !this.res.hasHeader("ETag")) {
+            this.res.setHeader("ETag", this.generateETag(buffer));
+        }
+
+        if (this.isNotModified()) {
+            this.sendNotModified();
+
+            return;
+        }
+
+        const encoding = buffer.length >= (this.compression.threshold || 0) ? this.negotiateEncoding() : undefined;
+
+        if (encoding === undefined) {
+            this.res.setHeader("Content-Length", buffer.length);
+            this.res.end(buffer);
+
+            return;
+        }
+
+        const compressor = this.createCompressor(encoding);
+
+        pipeline(compressor, this.res, () => {});
+        compressor.end(buffer);
+    }
+
+    /**
+     * Generates a weak ETag for the specified body, based on its size and hash.
+     * @param {Buffer} body The body to generate the ETag for.
+     * @returns {String} The ETag.
+     */
+    generateETag(body) {
+        return `W/"${body.length.toString(16)}-${CryptoUtils.hash(body, "sha1", "base64").substring(0, 27)}"`;
+    }
+
+    /**
+     * Returns if the client already has the current version of the response, based on the If-None-Match header or,
+     * when that is missing, the If-Modified-Since header. This only applies to successful GET and HEAD requests.
+     * @returns {Boolean} If the response has not been modified.
+     */
+    isNotModified() {
+        if (this.request === undefined || !["GET", "HEAD"].includes(this.request.method)) return false;
+        if (this.res.statusCode < 200 || this.res.statusCode >= 300) return false;
+
+        const noneMatch = this.request.header("if-none-match");
+
+        if (noneMatch !== undefined) {
+            const etag = this.res.getHeader("ETag");
+
+            if (etag === undefined) return false;
+
+            const weak = tag => tag.trim().replace(/^W\//, "");
+
+            return noneMatch.split(",").some(tag => tag.trim() === "*" || weak(tag) === weak(etag));
+        }
+
+        const modifiedSince = Date.parse(this.request.header("if-modified-since"));
+        const lastModified = Date.parse(this.res.getHeader("Last-Modified"));
+
+        return !isNaN(modifiedSince) && !isNaN(lastModified) && lastModified <= modifiedSince;
+    }
+
+    /**
+     * Ends the request with a 304 and without a body.
+     */
+    sendNotModified() {
+        for (const name of ["Content-Type", "Content-Length", "Content-Range", "Content-Encoding"]) {
+            this.res.removeHeader(name);
+        }
+
+        this.res.statusCode = 304;
+        this.res.end();
+    }
+
+    /**
+     * Returns the encoding the response should be compressed with, based on the Accept-Encoding header and the 
+     * compression options. Only compressible content types are compressed.
+     * @returns {String} The encoding or undefined when the response shouldn't be compressed.
+     */
+    negotiateEncoding() {
+        if (!this.compression || this.res.hasHeader("Content-Encoding")) return;
+        if (!this.isCompressible(String(this.res.getHeader("Content-Type") || ""))) return;
+
+        this.vary("Accept-Encoding");
+
+        if (this.request === undefined || this.request.method === "HEAD") return;
+
+        const accepted = (this.request.header("accept-encoding") || "").split(",").map(part => {
+            const [name, ...params] = part.trim().toLowerCase().split(";").map(value => value.trim());
+            const quality = params.find(param => param.startsWith("q="));
+
+            return {name, quality: quality ? Number(quality.substring(2)) : 1};
+        });
+        let best = {quality: 0};
+
+        for (const encoding of this.compression.encodings) {
+            const match = accepted.find(({name}) => name === encoding) || accepted.find(({name}) => name === "*");
+
+            if (match !== undefined && match.quality > best.quality) best = {encoding, quality: match.quality};
+        }
+
+        return best.encoding;
+    }
+
+    /**
+     * Returns if the specified content type benefits from compression.
+     * @param {String} type The content type.
+     * @returns {Boolean} If the content type is compressible.
+     */
+    isCompressible(type) {
+        return /^text\/|[/+](json|xml|javascript)\b|^image\/svg\+xml/i.test(type);
+    }
+
+    /**
+     * Creates a stream that compresses with the specified encoding and sets the headers for it.
+     * @param {String} encoding The encoding: "br", "gzip" or "deflate".
+     * @returns {stream.Transform} The compressing stream.
+     */
+    createCompressor(encoding) {
+        const compressors = {
+            br: () => zlib.createBrotliCompress(),
+            gzip: () => zlib.createGzip(),
+            deflate: () => zlib.createDeflate()
+        };
+
+        if (!compressors[encoding]) throw Error(`Unsupported encoding '${encoding}'.`);
+
+        this.res.removeHeader("Content-Length");
+        this.res.setHeader("Content-Encoding", encoding);
+
+        return compressors[encoding]();
+    }
+
+    /**
+     * Adds the specified header name to the Vary header.
+     * @param {String} name The name of the header.
+     */
+    vary(name) {
+        const current = String(this.res.getHeader("Vary") || "");
+        const names = current.split(",").map(value => value.trim()).filter(value => value !== "");
+
+        if (names.includes("*") || names.some(value => value.toLowerCase() === name.toLowerCase())) return;
+
+        this.res.setHeader("Vary", [...names, name].join(", "));
+    }
+
+    /**
+     * Marks the response as sent, throwing an error when it has already been sent.
+     */
+    markSent() {
+        if (this.sent || this.res.writableEnded) throw Error("The response has already been sent.");
+
+        this.sent = true;
+    }
+
+    /**
+     * Sends the specified readable stream to end the request. The returned promise rejects when the stream fails, in
+     * which case the response is destroyed when it has already started. The stream is compressed when compression is 
+     * enabled and the client accepts it.
+     * @param {stream.Readable} readable The stream to send.
+     * @param {Object} options The options for sending.
+     * @param {String} options.type The content type. By default this is "application/octet-stream".
+     * @returns {Promise} A promise that resolves when the stream has been sent.
+     */
+    stream(readable, {type = "application/octet-stream"} = {}) {
+        this.markSent();
+
+        if (!this.res.hasHeader("Content-Type")) this.res.setHeader("Content-Type", type);
+
+        if (this.isNotModified()) {
+            readable.destroy();
+            this.sendNotModified();
+
+            return Promise.resolve();
+        }
+
+        if (this.request && this.request.method === "HEAD") {
+            readable.destroy();
+            this.res.end();
+
+            return Promise.resolve();
+        }
+
+        const encoding = this.res.statusCode === 206 ? undefined : this.negotiateEncoding();
+        const streams = encoding === undefined ? [readable] : [readable, this.createCompressor(encoding)];
+
+        return new Promise((resolve, reject) => {
+            pipeline(...streams, this.res, err => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    /**
+     * Sends the file at the specified path to end the request. The Content-Type header is based on the extension of
+     * the file, and the Content-Length and Last-Modified headers are set. When the request has a Range header for a
+     * single range only that part of the file is sent, with status 206. When enabled a weak ETag is set based on the
+     * size and modification time of the file, and a 304 is sent when the client already has the file. When the file 
+     * does not exist a NotFoundError is thrown.
+     * @param {String} path The path of the file.
+     * @param {Object} options The options for sending.
+     * @param {String} options.type The content type. By default this is based on the extension of the file.
+     * @returns {Promise} A promise that resolves when the file has been sent.
+     */
+    async sendFile(path, {type = MimeUtils.lookup(path)} = {}) {
+        const stats = await FSUtils.stat(path).catch(() => undefined);
+
+        if (stats === undefined || !stats.isFile()) throw new NotFoundError("File not found.");
+
+        this.header("Last-Modified", stats.mtime.toUTCString());
+        this.header("Accept-Ranges", "bytes");
+
+        if (this.etag) this.header("ETag", `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`);
+        if (this.isNotModified()) {
+            this.markSent();
+            this.sendNotModified();
+
+            return;
+        }
+
+        const range = this.parseRange(this.request && this.request.header("range"), stats.size);
+
+        if (range === null) {
+            this.status(416).header("Content-Range", `bytes */${stats.size}`).end("");
+
+            return;
+        }
+
+        if (range !== undefined) {
+            this.status(206).header("Content-Range", `bytes ${range.start}-${range.end}/${stats.size}`);
+        }
+
+        const {start = 0, end = stats.size - 1} = range || {};
+
+        this.header("Content-Length", end - start + 1);
+
+        if (stats.size === 0) {
+            this.header("Content-Type", type).end("");
+
+            return;
+        }
+
+        await this.stream(fs.createReadStream(path, {start, end}), {type});
+    }
+
+    /**
+     * Parses the specified Range header for a file of the specified size. Only a single byte range is supported, for 
+     * other ranges undefined is returned so that the whole file is sent.
+     * @param {String} header The Range header.
+     * @param {Number} size The size of the file.
+     * @returns {Object} The start and end of the range, undefined when there is no usable range or null when the 
+     * range can't be satisfied.
+     */
+    parseRange(header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+
+        if (match === null || (match[1] === "" && match[2] === "")) return;
+
+        let start, end;
+
+        if (match[1] === "") {
+            start = Math.max(0, size - Number(match[2]));
+            end = size - 1;
+        }
+        else {
+            start = Number(match[1]);
+            end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+        }
+
+        if (start > end || start >= size) return null;
+
+        return {start, end};
     }
 }
 
@@ -0,0 +1,224 @@
+const {BadRequestError} = require("./errors");
+
+/**
+ * This is a router that stores paths in a prefix tree, so a requested path can be matched without checking every
+ * registered path. A path consists of segments separated by slashes, where each segment can be:
+ *
+ * - `name` - Matches exactly that segment.
+ * - `:name` - Matches any segment and adds it to the path data as name.
+ * - `:name(regex)` - Matches a segment that matches the regular expression, for example `:id(\\d+)`.
+ * - `:name?` - An optional parameter, which may also be combined with a regular expression.
+ * - `*` or `*name` - Matches the rest of the path, including nothing, and adds it to the path data as name ("*" when
+ * no name is given). This may only be used as the last segment.
+ *
+ * Trailing and repeated slashes are ignored and the segments of the requested path are URL-decoded before matching.
+ */
+class ApiRouter {
+	/**
+	 * Creates an empty router.
+	 */
+	constructor() {
+		this.root = this.createNode();
+		this.count = 0;
+	}
+
+	/**
+	 * Creates a new node for the prefix tree.
+	 * @returns {Object} The node.
+	 */
+	createNode() {
+		return {children: new Map(), params: [], wildcards: new Map(), routes: []};
+	}
+
+	/**
+	 * Adds a path and method to the router, with the specified callback and options.
+	 * @param {String} template The path to add, see {@link ApiRouter}.
+	 * @param {String} method The method to add, or "*" for all methods.
+	 * @param {Function} callback The callback for the path.
+	 * @param {Object} options The options for the path.
+	 * @returns {Object} The route that was added.
+	 */
+	add(template, method, callback, options = {}) {
+		const route = {template, method, callback, options, index: this.count++};
+
+		for (const segments of this.expand(this.parseTemplate(template))) {
+			let node = this.root;
+
+			for (const segment of segments) node = this.getChild(node, segment);
+
+			node.routes.push(route);
+		}
+
+		return route;
+	}
+
+	/**
+	 * Removes the routes with the specified path and, when given, method from the router.
+	 * @param {String} template The path to remove.
+	 * @param {String} method The method to remove (optional).
+	 */
+	remove(template, method) {
+		const remove = node => {
+			node.routes = node.routes.filter(route => {
+				return route.template !== template || (method !== undefined && route.method !== method);
+			});
+
+			node.children.forEach(remove);
+			node.params.forEach(param => remove(param.node));
+			node.wildcards.forEach(remove);
+		};
+
+		remove(this.root);
+	}
+
+	/**
+	 * Finds all routes matching the specified path, in the order they were added. Besides the routes the methods of
+	 * these routes are returned, which can be used to tell a path that does not exist apart from a path that does not
+	 * support the method. When a method is given only the routes for that method are returned; routes for GET also
+	 * match HEAD.
+	 * @param {String} path The requested path.
+	 * @param {String} method The requested method (optional).
+	 * @returns {Object} An object with the matches, each with a route and its path data, and the allowed methods.
+	 */
+	find(path, method) {
+		const segments = path.split("/").filter(segment => segment !== "").map(segment => this.decode(segment));
+		const found = new Map();
+
+		const addRoutes = (routes, data) => {
+			for (const route of routes) if (!found.has(route)) found.set(route, data);
+		};
+		const walk = (node, index, data) => {
+			if (index === segments.length) addRoutes(node.routes, data);
+			else {
+				const segment = segments[index];
+				const child = node.children.get(segment);
+
+				if (child !== undefined) walk(child, index + 1, data);
+
+				for (const param of node.params) {
+					if (param.regex && !param.regex.test(segment)) continue;
+
+					walk(param.node, index + 1, {...data, [param.name]: segment});
+				}
+			}
+
+			for (const [name, wildcard] of node.wildcards) {
+				addRoutes(wildcard.routes, {...data, [name]: segments.slice(index).join("/")});
+			}
+		};
+
+		walk(this.root, 0, {});
+
+		const matches = [...found.entries()]
+			.map(([route, data]) => ({route, data}))
+			.sort((a, b) => a.route.index - b.route.index);
+		const methods = new Set(matches.map(match => match.route.method));
+
+		if (methods.has("GET")) methods.add("HEAD");
+
+		return {
+			matches: method === undefined ? matches : matches.filter(({route}) => this.matchesMethod(route, method)),
+			methods: [...methods].sort()
+		};
+	}
+
+	/**
+	 * Returns if the specified route accepts the specified method.
+	 * @param {Object} route The route to check.
+	 * @param {String} method The method to check.
+	 * @returns {Boolean} If the route accepts the method.
+	 */
+	matchesMethod(route, method) {
+		return route.method === "*" || route.method === method || (method === "HEAD" && route.method === "GET");
+	}
+
+	/**
+	 * URL-decodes the specified path segment.
+	 * @param {String} segment The segment to decode.
+	 * @returns {String} The decoded segment.
+	 */
+	decode(segment) {
+		try {
+			return decodeURIComponent(segment);
+		}
+		catch {
+			throw new BadRequestError(`Malformed path segment '${segment}'.`);
+		}
+	}
+
+	/**
+	 * Parses the specified path template into a list of segments.
+	 * @param {String} template The path template to parse.
+	 * @returns {Array<Object>} The parsed segments.
+	 */
+	parseTemplate(template) {
+		const parts = template.split("/").filter(part => part !== "");
+
+		return parts.map((part, index) => {
+			if (part.startsWith("*")) {
+				if (index !== parts.length - 1) throw Error(`Wildcard must be the last segment in '${template}'.`);
+
+				return {type: "wildcard", name: part.length > 1 ? part.substring(1) : "*"};
+			}
+
+			if (!part.startsWith(":")) return {type: "static", value: part};
+
+			const match = /^:(\w+)(?:\((.+)\))?(\?)?$/.exec(part);
+
+			if (match === null) throw Error(`Invalid parameter '${part}' in '${template}'.`);
+
+			const [, name, pattern, optional] = match;
+
+			return {type: "param", name, pattern, optional: optional !== undefined};
+		});
+	}
+
+	/**
+	 * Expands the specified segments into every combination with and without their optional segments.
+	 * @param {Array<Object>} segments The parsed segments.
+	 * @returns {Array<Array<Object>>} The combinations of segments.
+	 */
+	expand(segments) {
+		return segments.reduce((variants, segment) => {
+			const withSegment = variants.map(variant => [...variant, segment]);
+
+			return segment.optional ? [...variants, ...withSegment] : withSegment;
+		}, [[]]);
+	}
+
+	/**
+	 * Returns the child of the specified node for the specified segment, creating it when it does not exist yet.
+	 * @param {Object} node The parent node.
+	 * @param {Object} segment The segment of the child.
+	 * @returns {Object} The child node.
+	 */
+	getChild(node, segment) {
+		if (segment.type === "static") {
+			if (!node.children.has(segment.value)) node.children.set(segment.value, this.createNode());
+
+			return node.children.get(segment.value);
+		}
+
+		if (segment.type === "wildcard") {
+			if (!node.wildcards.has(segment.name)) node.wildcards.set(segment.name, this.createNode());
+
+			return node.wildcards.get(segment.name);
+		}
+
+		let param = node.params.find(param => param.name === segment.name && param.pattern === segment.pattern);
+
+		if (param === undefined) {
+			param = {
+				name: segment.name,
+				pattern: segment.pattern,
+				regex: segment.pattern === undefined ? undefined : new RegExp(`^(?:${segment.pattern})$`),
+				node: this.createNode()
+			};
+			node.params.push(param);
+		}
+
+		return param.node;
+	}
+}
+
+module.exports = ApiRouter;
\ No newline at end of file
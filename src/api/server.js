@@ -1,12 +1,114 @@
 const http = require("http");
+const crypto = require("crypto");
 const util = require("util");
 const { URL } = require("url");
 const ApiRequest = require("./request");
 const ApiResponse = require("./response");
+const ApiRouter = require("./router");
+const ApiCors = require("./cors");
+const ApiAuth = require("./auth");
+const {ApiError, NotFoundError, MethodNotAllowedError} = require("./errors");
 
 class ApiServer {
-	constructor() {
-		this.stack = [];
+	/**
+	 * Creates a new api server with the specified options.
+	 * @param {Object} options The options for the api server.
+	 * @param {Boolean} options.production If the server runs in production, in which case the details of unexpected
+	 * errors are never sent to the client. By default this is true when NODE_ENV is "production".
+	 * @param {Function} options.formatError A function that receives the error, the default error payload and the 
+	 * custom api request, and returns the payload to send to the client. This can be used to change the shape of 
+	 * error responses.
+	 * @param {Boolean|Array<String>|Function} options.trustProxy Which proxies are trusted to set the X-Forwarded-For 
+	 * header, see {@link ApiRequest}.
+	 * @param {Number} options.bodyLimit The maximum size of request bodies in bytes. By default this is 1 MiB.
+	 * @param {Boolean|Object} options.compression If response bodies should be compressed, see {@link ApiResponse}. 
+	 * This is disabled by default.
+	 * @param {Boolean} options.etag If ETags should be generated for response bodies, see {@link ApiResponse}. By 
+	 * default this is true.
+	 * @param {Boolean|Object|ApiCors} options.cors The CORS configuration for all paths: true to allow all origins or
+	 * the options for {@link ApiCors}. CORS is disabled by default.
+	 * @param {Object|ApiAuth} options.auth The authentication configuration used by paths registered with the auth 
+	 * option, see {@link ApiAuth}.
+	 */
+	constructor({
+		production = process.env.NODE_ENV === "production", formatError, trustProxy = false, bodyLimit = 1024 * 1024,
+		compression = false, etag = true, cors = false, auth
+	} = {}) {
+		this.production = production;
+		this.formatError = formatError;
+		this.trustProxy = trustProxy;
+		this.bodyLimit = bodyLimit;
+		this.compression = compression;
+		this.etag = etag;
+		this.cors = this.createCors(cors) || undefined;
+		this.auth = auth === undefined || auth instanceof ApiAuth ? auth : new ApiAuth(auth);
+		this.router = new ApiRouter();
+		this.middleware = [];
+		this.errorMiddleware = [];
+	}
+
+	/**
+	 * Adds a middleware function to the api. Middleware is called for every incoming request, in the order it was 
+	 * added, before any of the registered paths. It receives the custom api request class, the custom api response 
+	 * class and a next function as arguments. The middleware must call next() to continue to the next middleware or 
+	 * path and may await it to run code after the rest of the chain has finished. Calling next with an error, or 
+	 * throwing one, skips to the error middleware. When a path is given the middleware is only called for requests 
+	 * that start with that path, for example the path "/admin" matches "/admin" and "/admin/users".
+	 * @param {String} path The path to scope the middleware to (optional).
+	 * @param {Function} callback The middleware to add.
+	 */
+	use(path, callback) {
+		this.middleware.push(this.createLayer(path, callback));
+	}
+
+	/**
+	 * Adds an error middleware function to the api. Error middleware is called when a middleware or path throws an 
+	 * error or calls next with one. It receives the error, the custom api request class, the custom api response 
+	 * class and a next function as arguments. Calling next passes the error on to the next error middleware, 
+	 * optionally with a different error. When no error middleware handles the error it is handled by .handleError().
+	 * Like .use() a path can be given to scope the error middleware.
+	 * @param {String} path The path to scope the error middleware to (optional).
+	 * @param {Function} callback The error middleware to add.
+	 */
+	useError(path, callback) {
+		this.errorMiddleware.push(this.createLayer(path, callback));
+	}
+
+	/**
+	 * Creates a middleware layer from the arguments given to .use() or .useError().
+	 * @param {String} path The path to scope the layer to, or the callback when no path is given.
+	 * @param {Function} callback The callback for the layer.
+	 * @returns {Object} The middleware layer.
+	 */
+	createLayer(path, callback) {
+		if (typeof path === "function") {
+			callback = path;
+			path = "/";
+		}
+
+		if (typeof callback !== "function") throw Error("Middleware must be a function.");
+
+		const router = new ApiRouter();
+
+		router.add(`${path}/*`, "*", callback);
+
+		return {path, callback, router};
+	}
+
+	/**
+	 * Returns if the specified middleware layer applies to the requested path. When the path can't be decoded only 
+	 * layers without a path apply, so that error middleware can still handle the resulting error.
+	 * @param {Object} layer The middleware layer.
+	 * @param {String} pathname The requested path.
+	 * @returns {Boolean} If the layer applies to the path.
+	 */
+	matchesLayer(layer, pathname) {
+		try {
+			return layer.router.find(pathname).matches.length > 0;
+		}
+		catch {
+			return layer.path === "/";
+		}
 	}
 
 	/**
@@ -15,31 +117,69 @@ class ApiServer {
 	 * custom api response class and the path data as arguments. The path data contains information about the url of 
 	 * the incoming request. The path may add arguments using ":NAME", which will be included in the path data object. 
 	 * For example: the request "/user/123/rename" will be matched to the path "/user/:id/rename" and the path data 
-	 * will be: {id: 123}. When an asterisk is added to the end of the specified path the handler will match all 
-	 * requests that begin with the text before the asterisk. By default the method matches all incoming methods, 
-	 * specified as "*". The callback may return a boolean, true when the stack may continue and false if the request 
-	 * is finished.
+	 * will be: {id: "123"}. Arguments can be restricted using a regular expression, as in ":id(\\d+)", and can be made 
+	 * optional using ":id?". When an asterisk is added to the end of the specified path the handler will match all 
+	 * requests that begin with the text before the asterisk; the rest of the path is included in the path data as "*",
+	 * or under a name using "*NAME". See {@link ApiRouter} for more details. By default the method matches all 
+	 * incoming methods, specified as "*". Besides the path data the callback receives a next function, which 
+	 * continues to the next registered path that matches the request. For backwards compatibility returning true from 
+	 * the callback does the same as calling next. When several paths match a request they are called in the order 
+	 * they were registered.
 	 * @param {String} path The path to register.
 	 * @param {String} method The method to register.
 	 * @param {Function} callback The callback to register.
+	 * @param {Object} options The options for the path.
+	 * @param {Object} options.schema A schema the body of the request is validated against before the callback is 
+	 * called, see {@link ApiRequest#validate}. The validated body is available as validBody on the request.
+	 * @param {Boolean|Object|ApiCors} options.cors The CORS configuration for this path, which replaces the CORS 
+	 * configuration of the server. Set to false to disable CORS for this path.
+	 * @param {ApiRateLimiter} options.rateLimit A rate limiter that is checked before the callback is called. To limit
+	 * all paths use the middleware of the rate limiter instead.
+	 * @param {Boolean|Object|ApiAuth} options.auth If requests must be authenticated before the callback is called. 
+	 * Set to true to use the authentication configuration of the server, to an object with roles and scopes to also 
+	 * require these, or to an ApiAuth to use a different configuration. The principal is available as principal on 
+	 * the request.
 	 */
-	register(path, method = "*", callback) {
+	register(path, method = "*", callback, options = {}) {
 		this.log.trace(`Registered path '${path}' with method '${method}'`, "api");
-		this.stack.push({
-			path, method, callback
-		});
+
+		if (options.cors !== undefined) options = {...options, cors: this.createCors(options.cors)};
+
+		this.router.add(path, method, callback, options);
 	}
 
 	/**
-	 * Unregisters the specified path.
-	 * @param {String} path The path to unregister.
+	 * Creates a CORS configuration from the value of a cors option.
+	 * @param {Boolean|Object|ApiCors} cors The value of the cors option.
+	 * @returns {ApiCors|Boolean} The CORS configuration or false when CORS is disabled.
 	 */
-	unregister(path) {
-		const handlerIndex = this.stack.findIndex(handler => handler.path === path);
+	createCors(cors) {
+		if (cors === false || cors instanceof ApiCors) return cors;
 
-		if (handlerIndex < 0) return;
+		return new ApiCors(cors === true ? {} : cors);
+	}
+
+	/**
+	 * Returns the CORS configuration for the specified matches: the configuration of the first registered path that
+	 * has one, otherwise the configuration of the server.
+	 * @param {Array<Object>} matches The matches from the router.
+	 * @returns {ApiCors} The CORS configuration or undefined when CORS is disabled.
+	 */
+	resolveCors(matches) {
+		const match = matches.find(({route}) => route.options.cors !== undefined);
+
+		if (match === undefined) return this.cors;
+
+		return match.route.options.cors || undefined;
+	}
 
-		this.stack.splice(handlerIndex);
+	/**
+	 * Unregisters the specified path. When a method is given only the path registered with that method is removed.
+	 * @param {String} path The path to unregister.
+	 * @param {String} method The method to unregister (optional).
+	 */
+	unregister(path, method) {
+		this.router.remove(path, method);
 	}
 
 	/**
@@ -48,7 +188,12 @@ class ApiServer {
 	initialize(log) {
 		this.log = log;
 		this.server = http.createServer((req, res) => {
-			this.handle(req, res).catch(err => this.handleError(err));
+			this.handle(req, res).catch(err => {
+				this.handleError(err);
+
+				if (!res.headersSent) res.statusCode = 500;
+				if (!res.writableEnded) res.end();
+			});
 		});
 		this.server.on("error", err => this.handleError(err));
 		this.log.debug("Initialized API server", "api");
@@ -56,73 +201,281 @@ class ApiServer {
 
 	/**
 	 * Handles the incoming request. This function may only be used internally as it is called by the server when there 
-	 * is a new incoming request.
+	 * is a new incoming request. The request first passes through the middleware and then through the registered paths.
+	 * When nothing responds to the request a 404 is sent. OPTIONS requests for a path without an OPTIONS handler and 
+	 * CORS preflight requests are answered automatically. Every request gets a random id and a child logger that adds
+	 * this id to its logs as requestId, which are available to middleware and paths as request.id and request.log.
 	 * @param {http.IncomingMessage} req The incoming request.
 	 * @param {http.ServerResponse} res The outgoing response.
 	 * @returns {Promise} A promise that resolves when the request and response have been handled.
 	 */
 	async handle(req, res) {
 		const url = new URL(req.url, "http://localhost/");
-		const request = new ApiRequest(req);
-		const response = new ApiResponse(res);
+		const request = new ApiRequest(req, {url, trustProxy: this.trustProxy, limit: this.bodyLimit});
+		const response = new ApiResponse(res, request, {compression: this.compression, etag: this.etag});
+
+		request.id = crypto.randomBytes(8).toString("hex");
+		request.log = this.log.child({namespace: "api", requestId: request.id});
+
+		res.once("close", () => {
+			request.cleanup().then(errors => {
+				for (const err of errors) request.log.warn("Failed to clean up request", {error: err});
+			});
+		});
+
+		request.log.debug(`Client connected at ${url.pathname}`);
+
+		try {
+			const {matches, methods} = this.router.find(url.pathname, req.method);
+
+			if (this.handleOptions(request, response, matches, methods)) return;
+
+			const cors = this.resolveCors(matches);
+
+			if (cors !== undefined) cors.apply(request, response);
 
-		this.log.debug(`Client connected at ${url.pathname}`, "api");
+			const layers = [
+				...this.middleware
+					.filter(layer => this.matchesLayer(layer, url.pathname))
+					.map(layer => ({type: "middleware", callback: layer.callback})),
+				...matches.map(({route, data}) => {
+					return {type: "path", callback: route.callback, options: route.options, data};
+				})
+			];
 
-		for (let handler of this.stack) {
-			if (handler.method !== "*" && handler.method !== req.method) continue;
+			await this.dispatch(layers, request, response, {pathname: url.pathname, methods});
+		}
+		catch (err) {
+			await this.dispatchError(err, request, response, url.pathname);
+		}
+	}
 
-			const pathData = this.parsePath(handler.path, url.pathname);
+	/**
+	 * Answers OPTIONS requests that have not been registered. A CORS preflight is answered using the CORS 
+	 * configuration of the requested method, other OPTIONS requests are answered with the allowed methods.
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {ApiResponse} response The custom api response.
+	 * @param {Array<Object>} matches The matches from the router for the request.
+	 * @param {Array<String>} methods The methods that are registered for the requested path.
+	 * @returns {Boolean} If the request has been answered.
+	 */
+	handleOptions(request, response, matches, methods) {
+		if (request.method !== "OPTIONS" || methods.length === 0) return false;
+
+		if (ApiCors.isPreflight(request)) {
+			const requested = request.header("access-control-request-method").toUpperCase();
+			const cors = this.resolveCors(this.router.find(request.path, requested).matches);
 
-			if (pathData === undefined) continue;
+			if (cors !== undefined) {
+				const allowed = methods.map(method => method === "*" ? requested : method);
 
-			const canContinue = await handler.callback(request, response, pathData);
+				cors.preflight(request, response, [...new Set(allowed)]);
 
-			if (!canContinue) return;
+				return true;
+			}
 		}
 
-		this.log.trace(`No handler for '${url.pathname}', returning 404`, "api");
+		if (matches.length > 0) return false;
 
-		res.statusCode = 404;
-		res.end();
+		const allowed = methods.filter(method => method !== "*");
+
+		response.status(204).header("Allow", [...allowed, "OPTIONS"].join(", ")).end("");
+
+		return true;
 	}
 
 	/**
-	 * Parses the given requested path using the specified template, also retreiving the arguments included in the 
-	 * requested path. If the template does not match the given path it will return undefined. For more information 
-	 * about the parsing see .register().
-	 * @param {String} template The template to match with path to parse.
-	 * @param {String} path The path to parse.
-	 * @returns {Object} The parsed data or undefined if parsing was unsuccessful.
+	 * Calls the given layers one after the other, continuing each time next is called. The returned promise resolves 
+	 * when the chain has finished, or rejects with the error that a layer has thrown or passed to next. The rest of 
+	 * the chain is waited for after a layer returns, also when the layer called next without waiting for it. When the 
+	 * end of the chain is reached a 405 is thrown if the path exists for other methods, otherwise a 404 is thrown. A 
+	 * path registered for all methods ("*") never results in a 405. When the chain finishes without a response having 
+	 * been sent, because a layer neither responded nor called next, a warning is logged and an error is thrown.
+	 * @param {Array<Object>} layers The middleware and path layers to dispatch.
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {ApiResponse} response The custom api response.
+	 * @param {Object} options The options for dispatching.
+	 * @param {String} options.pathname The requested path.
+	 * @param {Array<String>} options.methods The methods that are registered for the requested path.
+	 * @returns {Promise} A promise that resolves when the chain has finished.
 	 */
-	parsePath(template, path) {
-		const templateParts = template.split("/");
-		const pathParts = path.split("/");
-		const data = {};
+	async dispatch(layers, request, response, {pathname, methods}) {
+		const call = async index => {
+			const layer = layers[index];
+
+			if (layer === undefined) {
+				if (methods.length > 0 && !methods.includes("*")) {
+					request.log.trace(`Method '${request.method}' not allowed for '${pathname}', returning 405`);
+
+					throw new MethodNotAllowedError(undefined, {headers: {Allow: methods.join(", ")}});
+				}
+
+				request.log.trace(`No handler for '${pathname}', returning 404`);
+
+				throw new NotFoundError();
+			}
 
-		for (let i = 0; i < templateParts.length; i++) {
-			const templatePart = templateParts[i];
-			const pathPart = pathParts[i];
+			const next = this.createNext(err => {
+				if (err !== undefined) throw err;
 
-			if (templatePart.startsWith(":")) {
-				if (pathPart === undefined) return;
-				const key = templatePart.substring(1, templatePart.length);
+				return call(index + 1);
+			});
+
+			if (layer.type === "middleware") await layer.callback(request, response, next);
+			else {
+				await this.applyRouteOptions(layer.options, request, response);
 
-				data[key] = pathPart;
+				const canContinue = await layer.callback(request, response, layer.data, next);
+
+				if (canContinue === true && !next.called) await next();
 			}
-			else if (templatePart === "*") return data;
-			else if (templatePart !== pathPart) return;
+
+			if (next.called) await next.promise;
+		};
+
+		await call(0);
+
+		if (!response.sent && !response.res.headersSent) {
+			request.log.warn(`No response was sent for '${pathname}', a handler neither responded nor called next`);
+
+			throw Error(`No response was sent for '${request.method} ${pathname}'.`);
 		}
+	}
+
+	/**
+	 * Applies the options that were given when registering a path, before its callback is called. Throws an error when
+	 * the request does not meet the requirements of the options.
+	 * @param {Object} options The options of the registered path, see .register().
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {ApiResponse} response The custom api response.
+	 * @returns {Promise} A promise that resolves when the options have been applied.
+	 */
+	async applyRouteOptions({rateLimit, auth, schema}, request, response) {
+		if (rateLimit !== undefined) await rateLimit.check(request, response);
+		if (auth !== undefined && auth !== false) await this.authenticate(auth, request);
+		if (schema !== undefined) await request.validate(schema);
+	}
+
+	/**
+	 * Authenticates the specified request using the value of the auth option of a registered path.
+	 * @param {Boolean|Object|ApiAuth} auth The value of the auth option, see .register().
+	 * @param {ApiRequest} request The custom api request.
+	 * @returns {Promise<Object>} A promise that resolves with the principal.
+	 */
+	authenticate(auth, request) {
+		if (auth instanceof ApiAuth) return auth.authenticate(request);
+		if (this.auth === undefined) throw Error("No authentication has been configured for the api server.");
+
+		return this.auth.authenticate(request, auth === true ? {} : auth);
+	}
+
+	/**
+	 * Calls the error middleware one after the other with the given error, continuing each time next is called. When 
+	 * the error passes through all error middleware it is handled by .handleError().
+	 * @param {Error} err The error to dispatch.
+	 * @param {ApiRequest} request The custom api request.
+	 * @param {ApiResponse} response The custom api response.
+	 * @param {String} pathname The requested path.
+	 * @returns {Promise} A promise that resolves when the error has been handled.
+	 */
+	async dispatchError(err, request, response, pathname) {
+		const call = async (index, err) => {
+			const layer = this.errorMiddleware[index];
+
+			if (layer === undefined) return this.handleError(err, request, response);
 
-		return data;
+			if (!this.matchesLayer(layer, pathname)) return call(index + 1, err);
+
+			const next = this.createNext((nextErr = err) => call(index + 1, nextErr));
+
+			try {
+				await layer.callback(err, request, response, next);
+
+				if (next.called) await next.promise;
+			}
+			catch (thrownErr) {
+				if (next.called) throw thrownErr;
+
+				await next(thrownErr);
+			}
+		};
+
+		await call(0, err);
+	}
+
+	/**
+	 * Creates a next function for a layer, which may only be called once. The promise for the rest of the chain is 
+	 * kept as the promise of the next function, so it can be waited for when the layer doesn't wait for it itself.
+	 * @param {Function} callback The function to call when next is called.
+	 * @returns {Function} The next function.
+	 */
+	createNext(callback) {
+		const next = (...args) => {
+			if (next.called) return Promise.reject(Error("next() was called multiple times."));
+
+			next.called = true;
+			next.promise = new Promise(resolve => resolve(callback(...args)));
+			// The dispatcher waits for the promise, so it must not be reported as unhandled in the meantime.
+			next.promise.catch(() => {});
+
+			return next.promise;
+		};
+
+		next.called = false;
+		next.promise = undefined;
+
+		return next;
 	}
 
 	/**
-	 * Handles the specified error by throwing it.
-	 * TODO: Less damaging error handling?
+	 * Handles the specified error. When the error happened during a request it is sent to the client: an ApiError is 
+	 * sent with its own status code and message, any other error is sent as a 500 with a correlation id, the id of the
+	 * request, that can be found in the logs. The details of unexpected errors are only sent to the client outside of
+	 * production. Errors that did not happen during a request are only logged.
 	 * @param {Error} err The error to handle.
+	 * @param {ApiRequest} request The custom api request during which the error occurred (optional).
+	 * @param {ApiResponse} response The custom api response for the request (optional).
 	 */
-	handleError(err) {
-		throw err;
+	handleError(err, request, response) {
+		if (response === undefined) {
+			this.log.error(err instanceof Error ? err : `Server error: ${err}`, "api");
+
+			return;
+		}
+
+		const isApiError = err instanceof ApiError;
+		const code = isApiError ? err.code : 500;
+		const correlationId = isApiError && code < 500 ? undefined : request.id;
+
+		if (correlationId === undefined) {
+			request.log.debug(`Request to '${request.req.url}' failed with ${code}: ${err.message}`);
+		}
+		else {
+			request.log.error(`Error ${correlationId} while handling '${request.req.url}'`, {error: err});
+		}
+
+		if (response.sent || response.res.headersSent) {
+			if (!response.res.writableEnded) response.res.end();
+
+			return;
+		}
+
+		const expose = isApiError ? err.expose : !this.production;
+		let payload = {
+			name: isApiError && err.name !== "Error" ? err.name : response.statusCodeToName(code),
+			message: expose ? err.message : response.statusCodeToName(code),
+			code,
+			data: isApiError ? err.data : undefined,
+			correlationId
+		};
+
+		if (!this.production && !isApiError) payload.stack = err.stack;
+		if (this.formatError) payload = this.formatError(err, payload, request);
+		if (isApiError) {
+			for (const [name, value] of Object.entries(err.headers)) response.header(name, value);
+		}
+
+		response.send({data: payload, code});
 	}
 
 	/**
@@ -1,91 +1,795 @@
 const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
 const FSUtils = require("./fs");
+const SchemaUtils = require("./schema");
+
+/**
+ * The keys that are never copied or created, because assigning them would change the prototype of objects.
+ */
+const unsafeKeys = ["__proto__", "constructor", "prototype"];
+
+/**
+ * The layers that override the file, from lowest to highest priority, see {@link ConfigFile}.
+ */
+const overrideLayers = ["environmentFile", "env", "args"];
 
 /**
  * This is utility for managing a configuration file.
+ * 
+ * Values are read and changed using dot paths, for example "server.port", or arrays of keys when keys contain dots.
+ * Every change emits a `change` event with the path, the new value and the previous value, and a `change:<path>` 
+ * event with the new and previous value for the changed path, each of its parents and each changed child. For 
+ * example setting "server" to {port: 80} emits `change:server` and `change:server.port`. When auto saving is enabled 
+ * the file is saved shortly after the last change, after which a `save` event is emitted, or an `error` event when 
+ * saving failed. After changing the data directly, for example `config.data.port = 80`, call .refresh() or save the
+ * file so that the new values are read.
+ * 
+ * When a schema is given, see {@link SchemaUtils.validate}, the configuration is validated when it is loaded and on
+ * every change. An invalid configuration is rejected with an error listing the offending paths.
+ * 
+ * The values are read from layers, where each layer overrides the ones before it:
+ * 
+ * - `defaults` - The defaults of the options.
+ * - `file` - The configuration file itself, for example "config.json".
+ * - `environmentFile` - The file for the environment, for example "config.production.json".
+ * - `env` - The environment variables with the prefix, where `__` separates keys, for example IJO_SERVER__PORT=8080 
+ * for "server.port".
+ * - `args` - The command line arguments, for example `--server.port=8080` or `--server.port 8080`.
+ * 
+ * Values of environment variables and arguments are converted to the type of the value they override, or to numbers,
+ * booleans, null or JSON when they look like one. Only the defaults and the file are saved, changing a value that is 
+ * overridden changes the file but not the value that is read, see .getSource().
  */
-class ConfigFile {
+class ConfigFile extends EventEmitter {
 	/**
 	 * On construction this will not only add the specified path and options to the instance, but will also set loaded 
 	 * to false. This value will become true when the configuration file is loaded.
 	 * @param {String} path The path of the config file.
 	 * @param {Object} options The options for config file.
-	 * @param {Object} options.defaults The defaults that will be used if no config file was found.
+	 * @param {Object} options.defaults The defaults that will be used if no config file was found. When the file is 
+	 * found the defaults are deeply merged into it, so keys that are missing in the file get their default value.
+	 * @param {Object} options.schema The schema the configuration must match, see {@link SchemaUtils.validate}. For 
+	 * example {type: "object", properties: {port: {type: "integer", min: 1, max: 65535}}}.
+	 * @param {Array<Function>} options.migrations The migrations of the file, in order. The migration at index 0 
+	 * migrates a file from version 0 to 1 and so on, so the current version is the number of migrations. Each 
+	 * migration receives the data and returns the migrated data, or a promise that resolves with it. Files without 
+	 * version have version 0.
+	 * @param {String} options.versionKey The key the version is stored at in the file. By default this is "$version".
+	 * @param {Boolean} options.autoSave If the file should be saved automatically after changes. By default this is 
+	 * false.
+	 * @param {Number} options.saveDelay The number of milliseconds to wait after the last change before saving 
+	 * automatically. By default this is 1000.
+	 * @param {String} options.environment The environment to load the environment file for, for example "production" 
+	 * for "config.production.json". By default this is the NODE_ENV environment variable. The file is optional.
+	 * @param {String} options.envPrefix The prefix of the environment variables to read, for example "IJO" for 
+	 * IJO_SERVER__PORT. Without a prefix no environment variables are read.
+	 * @param {Object} options.env The environment variables. By default these are the ones of the process.
+	 * @param {Array<String>} options.args The command line arguments to read, for example process.argv.slice(2). By 
+	 * default no arguments are read.
 	 */
-	constructor(path, {defaults = {}} = {}) {
+	constructor(path, {
+		defaults = {}, schema, migrations = [], versionKey = "$version", autoSave = false, saveDelay = 1000,
+		environment = process.env.NODE_ENV, envPrefix, env = process.env, args = []
+	} = {}) {
+		super();
+
 		this.path = path;
 		this.data = undefined;
-		this.options = {defaults};
+		this.layers = undefined;
+		this.values = undefined;
+		this.options = {
+			defaults, schema, migrations, versionKey, autoSave, saveDelay, environment, envPrefix, env, args
+		};
 		this.loaded = false;
+		this.saveTimer = undefined;
+	}
+
+	/**
+	 * Returns the keys of the specified path.
+	 * @param {String|Array<String>} key The dot path, for example "server.port", or an array of keys.
+	 * @returns {Array<String>} The keys.
+	 */
+	static parsePath(key) {
+		if(Array.isArray(key)) return key.map(String);
+
+		return key === undefined || key === "" ? [] : String(key).split(".");
+	}
+
+	/**
+	 * Returns if the specified value is a plain object, so not an array or null.
+	 * @param {any} value The value to check.
+	 * @returns {Boolean} If the value is a plain object.
+	 */
+	static isObject(value) {
+		return value !== null && typeof value === "object" && !Array.isArray(value);
+	}
+
+	/**
+	 * Returns the value at the specified path from the loaded configuration, including the overrides.
+	 * @param {String|Array<String>} key The dot path to get a value for, for example "server.port". Without a path
+	 * all the values are returned.
+	 * @param {any} fallback The value to return when the path does not exist or the file isn't loaded.
+	 * @returns {any} The value at that path.
+	 */
+	get(key, fallback) {
+		if(!this.loaded) return fallback;
+
+		return ConfigFile.resolve(this.values, ConfigFile.parsePath(key), fallback);
+	}
+
+	/**
+	 * Returns the layer the value at the specified path comes from: "args", "env", "environmentFile", "file" or 
+	 * "defaults". When a layer overrides part of an object, that layer is returned for the object. Values equal to 
+	 * their default and defaults of the schema come from "defaults".
+	 * @param {String|Array<String>} key The dot path of the value.
+	 * @returns {String} The layer, or undefined when the path does not exist or the file isn't loaded.
+	 */
+	getSource(key) {
+		if(!this.has(key)) return;
+
+		const keys = ConfigFile.parsePath(key);
+		const missing = {};
+		const layer = overrideLayers.slice().reverse()
+			.find(name => ConfigFile.resolve(this.layers[name], keys, missing) !== missing);
+
+		if(layer !== undefined) return layer;
+
+		const value = ConfigFile.resolve(this.data, keys, missing);
+		const fallback = ConfigFile.resolve(this.options.defaults || {}, keys, missing);
+
+		if(value === missing || JSON.stringify(value) === JSON.stringify(fallback)) return "defaults";
+
+		return "file";
+	}
+
+	/**
+	 * Returns the value at the specified path in the specified data.
+	 * @param {any} data The data.
+	 * @param {Array<String>} keys The keys of the path.
+	 * @param {any} fallback The value to return when the path does not exist.
+	 * @returns {any} The value at that path.
+	 */
+	static resolve(data, keys, fallback) {
+		let value = data;
+
+		for(const part of keys) {
+			if(value === null || typeof value !== "object" || !Object.prototype.hasOwnProperty.call(value, part)) {
+				return fallback;
+			}
+
+			value = value[part];
+		}
+
+		return value === undefined ? fallback : value;
+	}
+
+	/**
+	 * Returns if the specified path exists in the loaded configuration file.
+	 * @param {String|Array<String>} key The dot path to check.
+	 * @returns {Boolean} If the path exists.
+	 */
+	has(key) {
+		const missing = {};
+
+		return this.get(key, missing) !== missing;
+	}
+
+	/**
+	 * Sets the value at the specified path, creating objects for missing parents.
+	 * @param {String|Array<String>} key The dot path to set, for example "server.port".
+	 * @param {any} value The new value.
+	 */
+	set(key, value) {
+		const keys = ConfigFile.parsePath(key);
+
+		if(keys.length === 0) throw Error("A path is required to set a value.");
+
+		this.update(keys, () => {
+			const parent = this.resolveParent(keys);
+
+			parent[keys[keys.length - 1]] = value;
+		});
+	}
+
+	/**
+	 * Deletes the value at the specified path from the file. Overrides of the value are kept.
+	 * @param {String|Array<String>} key The dot path to delete.
+	 * @returns {Boolean} If the path existed.
+	 */
+	delete(key) {
+		const keys = ConfigFile.parsePath(key);
+
+		const missing = {};
+
+		if(keys.length === 0 || ConfigFile.resolve(this.data, keys, missing) === missing) return false;
+
+		this.update(keys, () => {
+			const parent = ConfigFile.resolve(this.data, keys.slice(0, -1));
+
+			if(Array.isArray(parent)) parent.splice(Number(keys[keys.length - 1]), 1);
+			else delete parent[keys[keys.length - 1]];
+		});
+
+		return true;
+	}
+
+	/**
+	 * Deeply merges the specified object into the value at the specified path. Objects are merged key by key, any 
+	 * other values, including arrays, are replaced.
+	 * @param {Object} value The object to merge.
+	 * @param {String|Array<String>} key The dot path to merge into. By default the object is merged into all data.
+	 */
+	merge(value, key) {
+		const keys = ConfigFile.parsePath(key);
+
+		this.update(keys, () => {
+			if(keys.length === 0) {
+				this.data = ConfigFile.deepMerge(this.data, value);
+
+				return;
+			}
+
+			const parent = this.resolveParent(keys);
+			const last = keys[keys.length - 1];
+
+			parent[last] = ConfigFile.deepMerge(parent[last], value);
+		});
+	}
+
+	/**
+	 * Returns the result of deeply merging the source into the target. The target is changed when it is an object.
+	 * Keys that would change the prototype of the target, such as "__proto__", are skipped.
+	 * @param {any} target The value to merge into.
+	 * @param {any} source The value to merge.
+	 * @returns {any} The merged value.
+	 */
+	static deepMerge(target, source) {
+		if(!ConfigFile.isObject(target) || !ConfigFile.isObject(source)) return ConfigFile.clone(source);
+
+		for(const [key, value] of Object.entries(source)) {
+			if(!unsafeKeys.includes(key)) target[key] = ConfigFile.deepMerge(target[key], value);
+		}
+
+		return target;
+	}
+
+	/**
+	 * Returns a deep copy of the specified JSON value.
+	 * @param {any} value The value to copy.
+	 * @returns {any} The copy.
+	 */
+	static clone(value) {
+		return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+	}
+
+	/**
+	 * Returns the object containing the value at the specified path, creating objects for missing parents. Paths 
+	 * containing keys that would change the prototype of an object, such as "__proto__", are rejected.
+	 * @param {Array<String>} keys The keys of the path.
+	 * @returns {Object} The parent object.
+	 */
+	resolveParent(keys) {
+		const unsafe = keys.find(part => unsafeKeys.includes(part));
+
+		if(unsafe !== undefined) throw Error(`The key '${unsafe}' is not allowed in a path.`);
+
+		let parent = this.data;
+
+		for(const part of keys.slice(0, -1)) {
+			if(parent[part] === null || typeof parent[part] !== "object") parent[part] = {};
+
+			parent = parent[part];
+		}
+
+		return parent;
+	}
+
+	/**
+	 * Changes the data of the file at the specified path using the specified function and emits the change events 
+	 * for every value that changed, taking the overrides into account. Auto saving is scheduled when enabled and the 
+	 * data of the file changed. When the changed configuration doesn't match the schema the change is undone and an 
+	 * error is thrown.
+	 * @param {Array<String>} keys The keys of the path that is changed.
+	 * @param {Function} change The function that changes the data.
+	 */
+	update(keys, change) {
+		if(!this.loaded) throw Error("The config file has not been loaded.");
+
+		const before = ConfigFile.clone(this.data);
+		const previousValues = this.values;
+
+		change();
+
+		let values;
+
+		try {
+			values = this.resolveValues(this.data, this.layers);
+		}
+		catch(err) {
+			this.data = before;
+
+			throw err;
+		}
+
+		this.values = values;
+
+		const changed = ConfigFile.changedPaths(previousValues, values);
+
+		if(changed.length > 0) {
+			this.emit("change", {
+				path: keys.join("."),
+				value: ConfigFile.resolve(values, keys),
+				previous: ConfigFile.resolve(previousValues, keys)
+			});
+		}
+
+		for(const {keys: changedKeys, value, previous} of changed) {
+			this.emit(`change:${changedKeys.join(".")}`, value, previous);
+		}
+
+		if(this.options.autoSave && JSON.stringify(before) !== JSON.stringify(this.data)) this.scheduleSave();
+	}
+
+	/**
+	 * Computes the configuration again after the data was changed directly, for example `config.data.port = 80`, 
+	 * instead of using .set(). The change events are emitted for the values that changed. When the data is invalid 
+	 * an error is thrown and the configuration is left as it was. Saving the file refreshes it as well.
+	 */
+	refresh() {
+		this.update([], () => {});
+	}
+
+	/**
+	 * Returns the paths of all values that differ between the previous and the new value, parents before children.
+	 * @param {any} previous The previous value.
+	 * @param {any} value The new value.
+	 * @param {Array<String>} keys The keys of the path of the values.
+	 * @returns {Array<Object>} The keys, new value and previous value of every changed path.
+	 */
+	static changedPaths(previous, value, keys = []) {
+		if(JSON.stringify(previous) === JSON.stringify(value)) return [];
+
+		const changed = keys.length > 0 ? [{keys, value, previous}] : [];
+
+		const previousObject = previous !== null && typeof previous === "object" ? previous : {};
+		const valueObject = value !== null && typeof value === "object" ? value : {};
+		const children = new Set([...Object.keys(previousObject), ...Object.keys(valueObject)]);
+
+		for(const child of children) {
+			changed.push(...ConfigFile.changedPaths(previousObject[child], valueObject[child], [...keys, child]));
+		}
+
+		return changed;
+	}
+
+	/**
+	 * Saves the file after the save delay, unless another change happens before then. A `save` event is emitted when 
+	 * the file has been saved and an `error` event when saving failed, or the error is written to the console when 
+	 * nothing listens for `error` events. A pending save doesn't keep the process running, call .save() before exiting 
+	 * to make sure the last changes are saved.
+	 */
+	scheduleSave() {
+		clearTimeout(this.saveTimer);
+
+		this.saveTimer = setTimeout(() => {
+			this.save()
+				.then(() => this.emit("save"))
+				.catch(err => {
+					if(this.listenerCount("error") > 0) this.emit("error", err);
+					else console.error(`Failed to save the config file '${this.path}': ${err.message}`);
+				});
+		}, this.options.saveDelay);
+
+		if(this.saveTimer.unref) this.saveTimer.unref();
+	}
+
+	/**
+	 * Validates the specified configuration against the schema, if there is one.
+	 * @param {Object} data The configuration to validate.
+	 * @returns {Object} The validated configuration, in which the defaults of the schema have been applied.
+	 */
+	validate(data) {
+		if(!this.options.schema) return data;
+
+		const {valid, value, errors} = SchemaUtils.validate(this.options.schema, data);
+
+		if(!valid) throw this.invalidError(errors);
+
+		return value;
 	}
 
 	/**
-	 * Returns the specified key from the loaded configuration file.
-	 * @param {String} key The key to get a value for.
-	 * @returns {any} The value for that key.
+	 * Validates the specified data of the file against the schema, if there is one. Only the values in the file are 
+	 * checked, as missing values may be given by the override layers. This way the file stays valid on its own, also 
+	 * when a value in it is overridden.
+	 * @param {Object} data The data of the file to validate.
 	 */
-	get(key) {
-		// TODO: Maybe throw error here?
-		if(!this.loaded) return undefined;
+	validateFile(data) {
+		if(!this.options.schema) return;
+
+		const {errors} = SchemaUtils.validate(this.options.schema, data);
+		const invalid = errors.filter(error => error.message !== "is required");
+
+		if(invalid.length > 0) throw this.invalidError(invalid);
+	}
+
+	/**
+	 * Returns the error for the specified validation errors, with code "CONFIG_INVALID" and the errors.
+	 * @param {Array<Object>} errors The validation errors, see {@link SchemaUtils.validate}.
+	 * @returns {Error} The error.
+	 */
+	invalidError(errors) {
+		const error = Error(`The config file '${this.path}' is invalid:\n${SchemaUtils.formatErrors(errors)}`);
+
+		error.code = "CONFIG_INVALID";
+		error.errors = errors;
+
+		return error;
+	}
 
-		return this.data[key];
+	/**
+	 * Returns the data of the file for the specified data read from the file, by deeply merging it into the defaults.
+	 * @param {Object} data The data read from the file, or undefined when there is no file.
+	 * @returns {Object} The data of the file.
+	 */
+	prepare(data) {
+		return ConfigFile.deepMerge(ConfigFile.clone(this.options.defaults || {}), data || {});
+	}
+
+	/**
+	 * Returns the configuration for the specified data of the file and override layers, by deeply merging the 
+	 * layers into the data and validating the result. The data of the file is validated too, see .validateFile().
+	 * @param {Object} data The data of the file.
+	 * @param {Object} layers The override layers by name.
+	 * @returns {Object} The configuration.
+	 */
+	resolveValues(data, layers) {
+		this.validateFile(data);
+
+		let values = ConfigFile.clone(data);
+
+		for(const name of overrideLayers) values = ConfigFile.deepMerge(values, layers[name]);
+
+		return this.validate(values);
+	}
+
+	/**
+	 * Sets the data of the file, the resulting configuration and the override layers, after which the configuration 
+	 * is loaded.
+	 * @param {Object} data The data of the file.
+	 * @param {Object} values The configuration, see .resolveValues().
+	 * @param {Object} layers The override layers by name.
+	 */
+	setLoaded(data, values, layers) {
+		this.data = data;
+		this.layers = layers;
+		this.values = values;
+		this.loaded = true;
 	}
 
 	/**
 	 * Loads the configuration file asynchronously. If the file is not found and there are defaults that have been 
-	 * defined then these will be used and also saved to the file. When the configuration has been loaded the loaded
-	 * state is changed to true.
+	 * defined then these will be used and also saved to the file. The override layers are read after the file, see 
+	 * {@link ConfigFile}. When the configuration has been loaded the loaded state is changed to true. An invalid 
+	 * configuration is rejected with an error with code "CONFIG_INVALID" that lists the errors with their paths in 
+	 * its message and as errors.
+	 * 
+	 * When the file has an older version than the number of migrations, the migrations it is missing are run in 
+	 * order. The original file is then backed up next to it, see .backupPath(), and replaced atomically by the 
+	 * migrated configuration. When a migration fails an error with code "CONFIG_MIGRATION_FAILED" is thrown and the 
+	 * original file is left untouched.
 	 * @returns {Promise} A promise that is resolved when the config has been loaded.
 	 */
 	async load() {
 		if(!FSUtils.exists(this.path) || !(await FSUtils.isFile(this.path).catch(err => {throw err}))) {
 			if(!this.options.defaults) throw Error("File not found.");
 
-			this.data = this.options.defaults;
-			this.loaded = true;
+			const data = this.prepare();
+			const layers = await this.readLayers(data);
+
+			this.setLoaded(data, this.resolveValues(data, layers), layers);
 			await this.save().catch(err => {throw err});
 
 			return;
 		}
 
-		this.data = await new Promise((resolve, reject) => {
+		const text = await new Promise((resolve, reject) => {
 			fs.readFile(this.path, (err, data) => {
 				if(err) reject(err);
-				else {
-					try {
-						resolve(JSON.parse(data.toString()));
-					}
-					catch(err) {
-						reject(err);
-					}
-				}
+				else resolve(data.toString());
 			});
-		}).catch(err => {throw err});
-		this.loaded = true;
+		});
+		const {version, data} = this.parseFile(text);
+		const target = this.options.migrations.length;
+		let migrated = data;
+
+		for(let index = version; index < target; index++) migrated = await this.runMigration(index, migrated);
+
+		const config = this.prepare(migrated);
+		const layers = await this.readLayers(config);
+		const values = this.resolveValues(config, layers);
+
+		if(version < target) {
+			await FSUtils.write(this.backupPath(version), text);
+			await FSUtils.writeAtomic(this.path, this.serialize(config));
+		}
+
+		this.setLoaded(config, values, layers);
 	}
 
 	/**
-	 * Loads the configuration file synchronously.
+	 * Loads the configuration file synchronously, see .load(). Asynchronous migrations can't be run synchronously.
 	 */
 	loadSync() {
 		if(!FSUtils.exists(this.path) || !this.isFileSync()) {
 			if(!this.options.defaults) throw Error("File not found.");
 
-			this.data = this.options.defaults;
-			this.loaded = true;
+			const data = this.prepare();
+			const layers = this.readLayersSync(data);
+
+			this.setLoaded(data, this.resolveValues(data, layers), layers);
 			this.saveSync();
 
 			return;
 		}
 
+		const text = fs.readFileSync(this.path).toString();
+		const {version, data} = this.parseFile(text);
+		const target = this.options.migrations.length;
+		let migrated = data;
+
+		for(let index = version; index < target; index++) migrated = this.runMigration(index, migrated, {sync: true});
+
+		const config = this.prepare(migrated);
+		const layers = this.readLayersSync(config);
+		const values = this.resolveValues(config, layers);
+
+		if(version < target) {
+			fs.writeFileSync(this.backupPath(version), text);
+			FSUtils.writeAtomicSync(this.path, this.serialize(config));
+		}
+
+		this.setLoaded(config, values, layers);
+	}
+
+	/**
+	 * Returns the path of the file for the environment, for example "config.production.json" for "config.json".
+	 * @returns {String} The path, or undefined when there is no environment.
+	 */
+	environmentPath() {
+		if(!this.options.environment) return;
+
+		const {dir, name, ext} = path.parse(this.path);
+
+		return path.join(dir, `${name}.${this.options.environment}${ext}`);
+	}
+
+	/**
+	 * Asynchronously reads the override layers, see {@link ConfigFile}.
+	 * @param {Object} data The data of the file, which the types of overriding values are taken from.
+	 * @returns {Promise<Object>} A promise that resolves with the layers by name.
+	 */
+	async readLayers(data) {
+		const environmentPath = this.environmentPath();
+		let environmentFile;
+
+		if(environmentPath !== undefined && FSUtils.exists(environmentPath)) {
+			environmentFile = await new Promise((resolve, reject) => {
+				fs.readFile(environmentPath, (err, data) => {
+					if(err) reject(err);
+					else resolve(data.toString());
+				});
+			});
+		}
+
+		return this.createLayers(data, environmentFile);
+	}
+
+	/**
+	 * Synchronously reads the override layers, see .readLayers().
+	 * @param {Object} data The data of the file, which the types of overriding values are taken from.
+	 * @returns {Object} The layers by name.
+	 */
+	readLayersSync(data) {
+		const environmentPath = this.environmentPath();
+		const environmentFile = environmentPath !== undefined && FSUtils.exists(environmentPath) ? 
+			fs.readFileSync(environmentPath).toString() : 
+			undefined;
+
+		return this.createLayers(data, environmentFile);
+	}
+
+	/**
+	 * Returns the override layers for the specified text of the environment file and the environment variables and 
+	 * arguments of the options.
+	 * @param {Object} data The data of the file, which the types of overriding values are taken from.
+	 * @param {String} environmentFile The text of the environment file, or undefined when there is none.
+	 * @returns {Object} The layers by name.
+	 */
+	createLayers(data, environmentFile) {
+		const {envPrefix, env, args} = this.options;
+		const envEntries = [];
+
+		if(envPrefix) {
+			for(const [name, value] of Object.entries(env)) {
+				if(name.startsWith(`${envPrefix}_`) && name.length > envPrefix.length + 1) {
+					envEntries.push([name.substring(envPrefix.length + 1).toLowerCase().split("__"), value]);
+				}
+			}
+		}
+
+		return {
+			environmentFile: environmentFile === undefined ? {} : JSON.parse(environmentFile),
+			env: ConfigFile.createLayer(envEntries, data),
+			args: ConfigFile.createLayer(ConfigFile.parseArgs(args), data)
+		};
+	}
+
+	/**
+	 * Returns the paths and values of the specified command line arguments. Arguments are written as `--key=value`,
+	 * `--key value`, `--key` for true or `--no-key` for false, where the key is a dot path. Other arguments are 
+	 * ignored and `--` ends the arguments.
+	 * @param {Array<String>} args The arguments.
+	 * @returns {Array<Array>} The dot path and value of every argument.
+	 */
+	static parseArgs(args) {
+		const entries = [];
+
+		for(let index = 0; index < args.length; index++) {
+			const arg = args[index];
+
+			if(arg === "--") break;
+			if(!arg.startsWith("--")) continue;
+
+			const separator = arg.indexOf("=");
+
+			if(separator !== -1) entries.push([arg.substring(2, separator), arg.substring(separator + 1)]);
+			else if(arg.startsWith("--no-")) entries.push([arg.substring(5), "false"]);
+			else if(index + 1 < args.length && !args[index + 1].startsWith("--")) {
+				entries.push([arg.substring(2), args[++index]]);
+			}
+			else entries.push([arg.substring(2), "true"]);
+		}
+
+		return entries;
+	}
+
+	/**
+	 * Returns a layer with the specified values. Keys match existing keys of the data regardless of case, so 
+	 * IJO_SERVER__MAXCONNECTIONS overrides "server.maxConnections", and values are converted, see .coerce(). Values 
+	 * with empty keys or keys that would change the prototype of an object, such as "__proto__", are ignored.
+	 * @param {Array<Array>} entries The path and the text of every value.
+	 * @param {Object} data The data of the file.
+	 * @returns {Object} The layer.
+	 */
+	static createLayer(entries, data) {
+		const layer = {};
+
+		for(const [key, text] of entries) {
+			const parts = ConfigFile.parsePath(key);
+			const keys = [];
+			let current = data;
+
+			if(parts.length === 0 || parts.some(part => part === "" || unsafeKeys.includes(part))) continue;
+
+			for(const part of parts) {
+				const existing = ConfigFile.isObject(current) ? Object.keys(current) : [];
+				const match = existing.includes(part) ? 
+					part : 
+					existing.find(name => name.toLowerCase() === part.toLowerCase());
+
+				keys.push(match === undefined ? part : match);
+				current = ConfigFile.isObject(current) ? current[keys[keys.length - 1]] : undefined;
+			}
+
+			let parent = layer;
+
+			for(const part of keys.slice(0, -1)) {
+				if(!ConfigFile.isObject(parent[part])) parent[part] = {};
+
+				parent = parent[part];
+			}
+
+			parent[keys[keys.length - 1]] = ConfigFile.coerce(text, current);
+		}
+
+		return layer;
+	}
+
+	/**
+	 * Converts the specified text of an environment variable or argument for the value it overrides. Text that 
+	 * overrides a string is kept as is, other text is converted when it looks like a number, boolean, null or JSON 
+	 * array or object.
+	 * @param {String} text The text.
+	 * @param {any} current The value it overrides.
+	 * @returns {any} The converted value.
+	 */
+	static coerce(text, current) {
+		if(typeof current === "string") return text;
+		if(text === "true" || text === "false") return text === "true";
+		if(text === "null") return null;
+		if(text.trim() !== "" && !isNaN(Number(text))) return Number(text);
+		if(/^\s*[[{]/.test(text)) {
+			try {
+				return JSON.parse(text);
+			}
+			catch {
+				return text;
+			}
+		}
+
+		return text;
+	}
+
+	/**
+	 * Parses the text of the configuration file and takes the version from it. Files without version have version 0.
+	 * Without migrations the data is left as is.
+	 * @param {String} text The text of the file.
+	 * @returns {Object} The version and the data of the file.
+	 */
+	parseFile(text) {
+		const data = JSON.parse(text);
+		const {migrations, versionKey} = this.options;
+
+		if(migrations.length === 0 || !ConfigFile.isObject(data)) return {version: migrations.length, data};
+
+		const version = data[versionKey] === undefined ? 0 : data[versionKey];
+
+		delete data[versionKey];
+
+		if(!Number.isInteger(version) || version < 0 || version > migrations.length) {
+			throw Error(`The config file '${this.path}' has version ${version}, but only versions up to ` + 
+				`${migrations.length} are supported.`);
+		}
+
+		return {version, data};
+	}
+
+	/**
+	 * Runs the migration with the specified index, which migrates the data from that version to the next.
+	 * @param {Number} index The index of the migration.
+	 * @param {Object} data The data to migrate.
+	 * @param {Object} options The options for migrating.
+	 * @param {Boolean} options.sync If the migration must finish synchronously.
+	 * @returns {Object|Promise<Object>} The migrated data, or a promise that resolves with it when the migration is 
+	 * asynchronous.
+	 */
+	runMigration(index, data, {sync = false} = {}) {
+		const failed = err => {
+			const error = Error(`Migrating the config file '${this.path}' to version ${index + 1} failed: ` + 
+				err.message);
+
+			error.code = "CONFIG_MIGRATION_FAILED";
+			error.cause = err;
+
+			return error;
+		};
+		let result;
+
 		try {
-			const data = fs.readFileSync(this.path);
-			this.data = JSON.parse(data.toString());
-			this.loaded = true;
+			result = this.options.migrations[index](data);
 		}
 		catch(err) {
-			throw err;
+			throw failed(err);
+		}
+
+		if(result && typeof result.then === "function") {
+			if(sync) throw failed(Error("The migration is asynchronous, use load() instead."));
+
+			return result.then(value => value === undefined ? data : value, err => {throw failed(err)});
 		}
+
+		return result === undefined ? data : result;
+	}
+
+	/**
+	 * Returns the path the file is backed up to before it is migrated from the specified version.
+	 * @param {Number} version The version of the file.
+	 * @returns {String} The path of the backup, for example "config.json.v1.bak".
+	 */
+	backupPath(version) {
+		return `${this.path}.v${version}.bak`;
 	}
 
 	/**
@@ -97,23 +801,48 @@ class ConfigFile {
 	}
 
 	/**
-	 * Saves the configuration file asynchronously and adds some spacing for better readability.
+	 * Saves the configuration file asynchronously and adds some spacing for better readability. The file is replaced 
+	 * atomically, so it is never left partially written. A pending automatic save is canceled, as it would save the 
+	 * same data. Direct changes to the data are validated and applied first, see .refresh().
 	 * @returns {Promise} A promise that is resolved after the config file has been saved.
 	 */
 	save() {
-		return new Promise((resolve, reject) => {
-			fs.writeFile(this.path, this.toString({space: "  "}), err => {
-				if(err) reject(err);
-				else resolve();
-			});
-		});
+		clearTimeout(this.saveTimer);
+
+		try {
+			if(this.loaded) this.refresh();
+		}
+		catch(err) {
+			return Promise.reject(err);
+		}
+
+		return FSUtils.writeAtomic(this.path, this.toString({space: "  "}));
 	}
 
 	/**
-	 * Saves the configuration file synchronously.
+	 * Saves the configuration file synchronously, see .save(). A pending automatic save is canceled.
 	 */
 	saveSync() {
-		fs.writeFileSync(this.path, this.toString({space: "  "}));
+		clearTimeout(this.saveTimer);
+
+		if(this.loaded) this.refresh();
+
+		FSUtils.writeAtomicSync(this.path, this.toString({space: "  "}));
+	}
+
+	/**
+	 * Returns the specified data as it is saved, including the version when there are migrations.
+	 * @param {Object} data The data to save.
+	 * @param {Object} options The options for JSON.stringify, see .toString().
+	 * @returns {String} The text of the file.
+	 */
+	serialize(data, {replacer, space = "  "} = {}) {
+		const {migrations, versionKey} = this.options;
+		const versioned = migrations.length > 0 && ConfigFile.isObject(data) ? 
+			{[versionKey]: migrations.length, ...data} : 
+			data;
+
+		return JSON.stringify(versioned, replacer, space);
 	}
 
 	/**
@@ -124,7 +853,7 @@ class ConfigFile {
 	 * @returns {String} The stringified version of the config.
 	 */
 	toString({replacer, space} = {}) {
-		return JSON.stringify(this.data, replacer, space);
+		return this.serialize(this.data, {replacer, space});
 	}
 }
 
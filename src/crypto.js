@@ -1,4 +1,47 @@
 const crypto = require("crypto");
+const fs = require("fs");
+const util = require("util");
+
+const scrypt = util.promisify(crypto.scrypt);
+const pbkdf2 = util.promisify(crypto.pbkdf2);
+
+/**
+ * The default options for hashing passwords, see {@link hashPassword}.
+ */
+const passwordDefaults = {
+    algorithm: "scrypt",
+    cost: 16384,
+    blockSize: 8,
+    parallelization: 1,
+    iterations: 600000,
+    digest: "sha256",
+    saltLength: 16,
+    keyLength: 32
+};
+
+/**
+ * The maximum cost parameters of password hashes that are verified, so that a stored hash can't make verifying use
+ * unbounded time or memory. The memory is the number of bytes scrypt uses, which is 128 * 2^ln * r.
+ */
+const passwordLimits = {
+    ln: 20,
+    r: 32,
+    p: 16,
+    i: 10000000,
+    memory: 256 * 1024 * 1024
+};
+
+/**
+ * Returns the specified cost parameter of a password hash as number.
+ * @param {String} value The value of the parameter.
+ * @param {Number} max The maximum value.
+ * @returns {Number} The value, or undefined when it is not a positive integer of at most the maximum.
+ */
+const parseCost = (value, max) => {
+    const number = /^\d+$/.test(value) ? Number(value) : NaN;
+
+    return number >= 1 && number <= max ? number : undefined;
+}
 
 /**
  * Hashes the given text using the given algorithm and returns it in the specified encoding.
@@ -11,6 +54,440 @@ const hash = (text, algorithm = "sha256", encoding = "hex") => {
     return crypto.createHash(algorithm).update(text).digest(encoding);
 }
 
+/**
+ * Asynchronously hashes the data of the given readable stream using the given algorithm, without keeping the data in
+ * memory.
+ * @param {Readable} readable The stream to hash.
+ * @param {String} algorithm The algorithm to hash using.
+ * @param {String} encoding The encoding to return, or "buffer" to return a Buffer.
+ * @returns {Promise<String|Buffer>} A promise that resolves with the hash once the stream has ended.
+ */
+const hashStream = (readable, algorithm = "sha256", encoding = "hex") => {
+    return new Promise((resolve, reject) => {
+        const hasher = crypto.createHash(algorithm);
+
+        readable.on("data", chunk => hasher.update(chunk));
+        readable.once("error", reject);
+        readable.once("end", () => resolve(encoding === "buffer" ? hasher.digest() : hasher.digest(encoding)));
+    });
+}
+
+/**
+ * Asynchronously hashes the file at the given path using the given algorithm. The file is streamed, so large files
+ * can be hashed without loading them into memory.
+ * @param {String} path The path of the file.
+ * @param {String} algorithm The algorithm to hash using.
+ * @param {String} encoding The encoding to return, or "buffer" to return a Buffer.
+ * @returns {Promise<String|Buffer>} A promise that resolves with the hash.
+ */
+const hashFile = (path, algorithm = "sha256", encoding = "hex") => {
+    return hashStream(fs.createReadStream(path), algorithm, encoding);
+}
+
+/**
+ * The algorithms supported in checksums, from weakest to strongest.
+ */
+const checksumAlgorithms = ["sha256", "sha384", "sha512"];
+
+/**
+ * Asynchronously creates a checksum of the given data in the subresource integrity (SRI) format, for example
+ * "sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=".
+ * @param {String|Buffer|Readable} source The data or a readable stream of the data.
+ * @param {String} algorithm The algorithm: "sha256" (the default), "sha384" or "sha512".
+ * @returns {Promise<String>} A promise that resolves with the checksum.
+ */
+const createChecksum = async (source, algorithm = "sha256") => {
+    if (!checksumAlgorithms.includes(algorithm)) throw Error(`Unsupported checksum algorithm '${algorithm}'.`);
+
+    const digest = typeof source === "string" || Buffer.isBuffer(source) ?
+        hash(source, algorithm, "base64") :
+        await hashStream(source, algorithm, "base64");
+
+    return `${algorithm}-${digest}`;
+}
+
+/**
+ * Asynchronously verifies the given data against a checksum in the subresource integrity (SRI) format. The checksum
+ * may contain multiple space separated hashes, in which case only those using the strongest algorithm are checked and
+ * one of them must match. Hashes with unsupported algorithms are ignored.
+ * @param {String|Buffer|Readable} source The data or a readable stream of the data.
+ * @param {String} checksum The checksum, for example "sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=".
+ * @returns {Promise<Boolean>} A promise that resolves with if the data matches the checksum.
+ */
+const verifyChecksum = async (source, checksum) => {
+    const hashes = String(checksum).trim().split(/\s+/).map(value => {
+        const separator = value.indexOf("-");
+
+        return {algorithm: value.substring(0, separator), digest: value.substring(separator + 1).split("?")[0]};
+    }).filter(({algorithm}) => checksumAlgorithms.includes(algorithm));
+
+    if (hashes.length === 0) throw Error("The checksum does not contain a supported hash.");
+
+    const strength = Math.max(...hashes.map(({algorithm}) => checksumAlgorithms.indexOf(algorithm)));
+    const strongest = checksumAlgorithms[strength];
+    const actual = (await createChecksum(source, strongest)).substring(strongest.length + 1);
+
+    return hashes
+        .filter(({algorithm}) => algorithm === strongest)
+        .some(({digest}) => safeEqual(digest, actual));
+}
+
+/**
+ * Asynchronously verifies the file at the given path against a checksum in the subresource integrity (SRI) format,
+ * see {@link verifyChecksum}. The file is streamed, so large files can be verified without loading them into memory.
+ * @param {String} path The path of the file.
+ * @param {String} checksum The checksum.
+ * @returns {Promise<Boolean>} A promise that resolves with if the file matches the checksum.
+ */
+const verifyFileChecksum = (path, checksum) => {
+    return verifyChecksum(fs.createReadStream(path), checksum);
+}
+
+/**
+ * Creates an HMAC of the given data using the given key and algorithm and returns it in the specified encoding.
+ * @param {String|Buffer} key The secret key.
+ * @param {String|Buffer} data The data to authenticate.
+ * @param {String} algorithm The hash algorithm to use.
+ * @param {String} encoding The encoding to return, or "buffer" to return a Buffer.
+ * @returns {String|Buffer} The HMAC.
+ */
+const hmac = (key, data, algorithm = "sha256", encoding = "hex") => {
+    const digest = crypto.createHmac(algorithm, key).update(data);
+
+    return encoding === "buffer" ? digest.digest() : digest.digest(encoding);
+}
+
+/**
+ * Compares the given values in constant time, so that the time it takes does not reveal how much of the values match.
+ * @param {String|Buffer} a The first value.
+ * @param {String|Buffer} b The second value.
+ * @returns {Boolean} If the values are equal.
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+
+    if (bufferA.length !== bufferB.length) {
+        crypto.timingSafeEqual(bufferA, bufferA);
+
+        return false;
+    }
+
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Derives a key from the given password and salt using the algorithm and cost parameters in the given options.
+ * @param {String} password The password.
+ * @param {Buffer} salt The salt.
+ * @param {Object} options The algorithm and cost parameters, see {@link hashPassword}.
+ * @returns {Promise<Buffer>} A promise that resolves with the derived key.
+ */
+const derivePasswordKey = (password, salt, options) => {
+    const {algorithm, cost, blockSize, parallelization, iterations, digest, keyLength} = options;
+
+    if (algorithm === "scrypt") {
+        return scrypt(password, salt, keyLength, {
+            N: cost, r: blockSize, p: parallelization, maxmem: 256 * cost * blockSize
+        });
+    }
+    if (algorithm === "pbkdf2") return pbkdf2(password, salt, iterations, keyLength, digest);
+
+    return Promise.reject(Error(`Unsupported password algorithm '${algorithm}'.`));
+}
+
+/**
+ * Parses a password hash created by {@link hashPassword} into its algorithm, cost parameters, salt and key. Hashes with
+ * cost parameters that are invalid or above the limits, see {@link passwordLimits}, are not valid.
+ * @param {String} stored The password hash.
+ * @returns {Object} The parsed password hash, or undefined when it is not a valid password hash.
+ */
+const parsePasswordHash = stored => {
+    const parts = typeof stored === "string" ? stored.split("$") : [];
+
+    if (parts.length !== 5 || parts[0] !== "") return;
+
+    const [, id, params, salt, key] = parts;
+    const values = Object.fromEntries(params.split(",").map(param => param.split("=")));
+    const parsed = {salt: Buffer.from(salt, "base64"), key: Buffer.from(key, "base64")};
+
+    if (parsed.key.length === 0) return;
+    if (id === "scrypt") {
+        const cost = parseCost(values.ln, passwordLimits.ln);
+        const blockSize = parseCost(values.r, passwordLimits.r);
+        const parallelization = parseCost(values.p, passwordLimits.p);
+
+        if (cost === undefined || blockSize === undefined || parallelization === undefined) return;
+        if (128 * 2 ** cost * blockSize > passwordLimits.memory) return;
+
+        return {
+            ...parsed,
+            algorithm: "scrypt",
+            cost: 2 ** cost,
+            blockSize,
+            parallelization,
+            keyLength: parsed.key.length
+        };
+    }
+    if (id.startsWith("pbkdf2-")) {
+        const digest = id.substring(7);
+        const iterations = parseCost(values.i, passwordLimits.i);
+
+        if (iterations === undefined || !crypto.getHashes().includes(digest)) return;
+
+        return {
+            ...parsed,
+            algorithm: "pbkdf2",
+            digest,
+            iterations,
+            keyLength: parsed.key.length
+        };
+    }
+}
+
+/**
+ * Hashes the given password with a random salt, for storing it. The result is a string that contains the algorithm,
+ * the cost parameters, the salt and the derived key, for example "$scrypt$ln=14,r=8,p=1$<salt>$<key>", so it can be
+ * verified using only the password and this string. Scrypt is used by default, pbkdf2 can be used instead.
+ * @param {String} password The password to hash.
+ * @param {Object} options The options for hashing.
+ * @param {String} options.algorithm The algorithm: "scrypt" (the default) or "pbkdf2".
+ * @param {Number} options.cost The scrypt CPU/memory cost, a power of two. By default this is 16384.
+ * @param {Number} options.blockSize The scrypt block size. By default this is 8.
+ * @param {Number} options.parallelization The scrypt parallelization. By default this is 1.
+ * @param {Number} options.iterations The pbkdf2 number of iterations. By default this is 600000.
+ * @param {String} options.digest The pbkdf2 digest. By default this is "sha256".
+ * @param {Number} options.saltLength The length of the salt in bytes. By default this is 16.
+ * @param {Number} options.keyLength The length of the derived key in bytes. By default this is 32.
+ * @returns {Promise<String>} A promise that resolves with the password hash.
+ */
+const hashPassword = async (password, options = {}) => {
+    const settings = {...passwordDefaults, ...options};
+    const salt = crypto.randomBytes(settings.saltLength);
+    const key = await derivePasswordKey(password, salt, settings);
+    const encoded = `${salt.toString("base64")}$${key.toString("base64")}`;
+
+    if (settings.algorithm === "pbkdf2") return `$pbkdf2-${settings.digest}$i=${settings.iterations}$${encoded}`;
+
+    const {cost, blockSize, parallelization} = settings;
+
+    return `$scrypt$ln=${Math.log2(cost)},r=${blockSize},p=${parallelization}$${encoded}`;
+}
+
+/**
+ * Verifies the given password against a password hash created by {@link hashPassword}. The keys are compared in
+ * constant time.
+ * @param {String} password The password to verify.
+ * @param {String} stored The password hash.
+ * @returns {Promise<Boolean>} A promise that resolves with if the password matches.
+ */
+const verifyPassword = async (password, stored) => {
+    const parsed = parsePasswordHash(stored);
+
+    if (parsed === undefined) return false;
+
+    const key = await derivePasswordKey(password, parsed.salt, parsed);
+
+    return safeEqual(key, parsed.key);
+}
+
+/**
+ * Returns if the given password hash was created with a different algorithm or cost parameters than the given
+ * options, in which case the password should be hashed again after it has been verified.
+ * @param {String} stored The password hash.
+ * @param {Object} options The options the password should be hashed with, see {@link hashPassword}.
+ * @returns {Boolean} If the password should be hashed again.
+ */
+const needsRehash = (stored, options = {}) => {
+    const parsed = parsePasswordHash(stored);
+    const settings = {...passwordDefaults, ...options};
+
+    if (parsed === undefined || parsed.algorithm !== settings.algorithm) return true;
+    if (parsed.keyLength !== settings.keyLength || parsed.salt.length !== settings.saltLength) return true;
+    if (parsed.algorithm === "pbkdf2") {
+        return parsed.digest !== settings.digest || parsed.iterations !== settings.iterations;
+    }
+
+    return parsed.cost !== settings.cost ||
+        parsed.blockSize !== settings.blockSize ||
+        parsed.parallelization !== settings.parallelization;
+}
+
+/**
+ * Returns the given number of cryptographically secure random bytes.
+ * @param {Number} size The number of bytes.
+ * @returns {Buffer} The random bytes.
+ */
+const randomBytes = size => {
+    return crypto.randomBytes(size);
+}
+
+/**
+ * Returns a random token that is safe to use in urls, for example for sessions or API keys.
+ * @param {Number} size The number of random bytes in the token. By default this is 32.
+ * @returns {String} The base64url encoded token.
+ */
+const randomToken = (size = 32) => {
+    return randomBytes(size).toString("base64url");
+}
+
+/**
+ * Returns a random version 4 UUID.
+ * @returns {String} The UUID.
+ */
+const uuid = () => {
+    const bytes = randomBytes(16);
+
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytes.toString("hex");
+
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Returns a short random id made of characters from the given alphabet. Every character is equally likely.
+ * @param {Number} length The length of the id. By default this is 10.
+ * @param {String} alphabet The characters to use. By default these are letters, digits, "-" and "_".
+ * @returns {String} The id.
+ */
+const shortId = (length = 10, alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_") => {
+    if (alphabet.length < 2 || alphabet.length > 256) throw Error("The alphabet must have 2 to 256 characters.");
+
+    // Bytes at or above the largest multiple of the alphabet length are skipped, so no character is favored.
+    const limit = 256 - (256 % alphabet.length);
+    let id = "";
+
+    while (id.length < length) {
+        for (const byte of randomBytes(length)) {
+            if (byte < limit && id.length < length) id += alphabet[byte % alphabet.length];
+        }
+    }
+
+    return id;
+}
+
+/**
+ * Returns a new random key for {@link encrypt}.
+ * @returns {Buffer} The 32 byte key.
+ */
+const generateKey = () => {
+    return randomBytes(32);
+}
+
+/**
+ * Derives a key for {@link encrypt} from the given passphrase using scrypt. The same passphrase and salt always result
+ * in the same key, so the salt must be stored with the encrypted data or configured next to the passphrase.
+ * @param {String|Buffer} passphrase The passphrase.
+ * @param {String|Buffer} salt The salt, which should be random and at least 16 bytes.
+ * @param {Object} options The options for deriving.
+ * @param {Number} options.cost The scrypt CPU/memory cost, a power of two. By default this is 16384.
+ * @returns {Promise<Buffer>} A promise that resolves with the 32 byte key.
+ */
+const deriveKey = (passphrase, salt, {cost = 16384} = {}) => {
+    return derivePasswordKey(passphrase, salt, {...passwordDefaults, algorithm: "scrypt", cost});
+}
+
+/**
+ * Returns the key with the given id from the given key, which may be a single key or a key ring.
+ * @param {Buffer|Object} key A 32 byte key or a key ring, see {@link encrypt}.
+ * @param {String} keyId The id of the key, by default the current key of the key ring.
+ * @returns {Object} The id and the key.
+ */
+const resolveKey = (key, keyId) => {
+    if (Buffer.isBuffer(key)) return {id: keyId || "", key};
+    if (!key || !key.keys) throw Error("The key must be a Buffer or a key ring.");
+
+    const id = keyId === undefined ? key.current : keyId;
+
+    if (!key.keys[id]) throw Error(`The key '${id}' is not in the key ring.`);
+
+    return {id, key: key.keys[id]};
+}
+
+/**
+ * Encrypts the given data using AES-256-GCM, which also authenticates it so that changes are detected. The result
+ * describes itself: it contains a version, the id of the key, the random IV, the authentication tag and the encrypted
+ * data, so it can be decrypted using only the key. As string it has the format "v1.<keyId>.<iv>.<tag>.<data>".
+ *
+ * To rotate keys a key ring can be used instead of a single key: an object with the id of the current key as current
+ * and the keys by id as keys, for example {current: "2024", keys: {"2023": oldKey, "2024": newKey}}. Data is always
+ * encrypted with the current key and decrypted with the key it was encrypted with.
+ * @param {String|Buffer} data The data to encrypt.
+ * @param {Buffer|Object} key A 32 byte key or a key ring.
+ * @param {Object} options The options for encrypting.
+ * @param {String} options.output The output: "string" (the default) or "buffer".
+ * @returns {String|Buffer} The encrypted data.
+ */
+const encrypt = (data, key, {output = "string"} = {}) => {
+    const {id, key: secret} = resolveKey(key);
+
+    if (id.includes(".") || Buffer.byteLength(id) > 255) throw Error(`The key id '${id}' is invalid.`);
+
+    const iv = randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", secret, iv);
+
+    cipher.setAAD(Buffer.from(`v1.${id}`));
+
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    if (output === "buffer") {
+        const idBuffer = Buffer.from(id);
+
+        return Buffer.concat([Buffer.from([1, idBuffer.length]), idBuffer, iv, tag, encrypted]);
+    }
+
+    return ["v1", id, ...[iv, tag, encrypted].map(part => part.toString("base64url"))].join(".");
+}
+
+/**
+ * Decrypts data encrypted by {@link encrypt}. When the data has been changed or the wrong key is used an error is
+ * thrown.
+ * @param {String|Buffer} encrypted The encrypted data.
+ * @param {Buffer|Object} key The 32 byte key or the key ring the data was encrypted with.
+ * @param {Object} options The options for decrypting.
+ * @param {String} options.encoding The encoding of the result, or "buffer" to return a Buffer. By default this is
+ * "utf8".
+ * @returns {String|Buffer} The decrypted data.
+ */
+const decrypt = (encrypted, key, {encoding = "utf8"} = {}) => {
+    let id, iv, tag, data;
+
+    if (Buffer.isBuffer(encrypted)) {
+        if (encrypted[0] !== 1) throw Error("Unsupported encrypted data version.");
+
+        const idEnd = 2 + encrypted[1];
+
+        id = encrypted.slice(2, idEnd).toString();
+        iv = encrypted.slice(idEnd, idEnd + 12);
+        tag = encrypted.slice(idEnd + 12, idEnd + 28);
+        data = encrypted.slice(idEnd + 28);
+    }
+    else {
+        const parts = String(encrypted).split(".");
+
+        if (parts.length !== 5 || parts[0] !== "v1") throw Error("Unsupported encrypted data format.");
+
+        id = parts[1];
+        [iv, tag, data] = parts.slice(2).map(part => Buffer.from(part, "base64url"));
+    }
+
+    // A shorter authentication tag would be accepted by GCM, but makes forging data much easier.
+    if (iv.length !== 12 || tag.length !== 16) throw Error("The encrypted data is malformed.");
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", resolveKey(key, id).key, iv, {authTagLength: 16});
+
+    decipher.setAAD(Buffer.from(`v1.${id}`));
+    decipher.setAuthTag(tag);
+
+    const decrypted = Buffer.concat([decipher.update(data), decipher.final()]);
+
+    return encoding === "buffer" ? decrypted : decrypted.toString(encoding);
+}
+
 module.exports = {
-    hash
+    hash, hashStream, hashFile, createChecksum, verifyChecksum, verifyFileChecksum, hmac, safeEqual, hashPassword,
+    verifyPassword, needsRehash, randomBytes, randomToken, uuid, shortId, generateKey, deriveKey, encrypt, decrypt
 };
\ No newline at end of file
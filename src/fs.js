@@ -1,4 +1,6 @@
 const fs = require("fs");
+const zlib = require("zlib");
+const {pipeline} = require("stream");
 
 /**
  * Asynchronously returns the statistics object for the specified path.
@@ -41,6 +43,15 @@ const createFolder = path => {
 	});
 }
 
+/**
+ * Synchronously creates a folder at the specified path, including its parent folders. Creating a folder that already
+ * exists is not an error.
+ * @param {String} path The path to create a folder at.
+ */
+const createFolderSync = path => {
+	fs.mkdirSync(path, {recursive: true});
+}
+
 /**
  * Asynchronously returns if the specified path is a file.
  * @param {String} path The path to check if it is a file.
@@ -93,6 +104,46 @@ const write = (path, data) => {
 	});
 }
 
+/**
+ * Asynchronously and atomically writes the specified data to the specified path. The data is written to a temporary 
+ * file next to it first, which then replaces the file, so the file never contains partially written data.
+ * @param {String} path The path to write to.
+ * @param {String|Buffer} data The data to write to the file.
+ * @returns {Promise} A promise that resolves when the data has been written.
+ */
+const writeAtomic = (path, data) => {
+	const tempPath = `${path}.${process.pid}-${Date.now()}.tmp`;
+
+	return new Promise((resolve, reject) => {
+		fs.writeFile(tempPath, data, err => {
+			if(err) reject(err);
+			else fs.rename(tempPath, path, err => {
+				if(err) reject(err);
+				else resolve();
+			});
+		});
+	}).catch(err => remove(tempPath).then(() => {throw err}));
+}
+
+/**
+ * Synchronously and atomically writes the specified data to the specified path, see {@link writeAtomic}.
+ * @param {String} path The path to write to.
+ * @param {String|Buffer} data The data to write to the file.
+ */
+const writeAtomicSync = (path, data) => {
+	const tempPath = `${path}.${process.pid}-${Date.now()}.tmp`;
+
+	try {
+		fs.writeFileSync(tempPath, data);
+		fs.renameSync(tempPath, path);
+	}
+	catch(err) {
+		fs.rmSync(tempPath, {force: true});
+
+		throw err;
+	}
+}
+
 /**
  * Asynchronously appends the specified data to the specified path.
  * @param {String} path The path to append to.
@@ -108,6 +159,61 @@ const append = (path, data) => {
 	});
 }
 
+/**
+ * Synchronously appends the specified data to the specified path.
+ * @param {String} path The path to append to.
+ * @param {String|Buffer} data The data to append to the file.
+ */
+const appendSync = (path, data) => {
+	fs.appendFileSync(path, data);
+}
+
+/**
+ * Asynchronously creates a new uniquely named folder, using the specified prefix followed by random characters.
+ * @param {String} prefix The path and start of the name of the folder, for example "/tmp/upload-".
+ * @returns {Promise<String>} A promise that resolves with the path of the created folder.
+ */
+const createTempFolder = prefix => {
+	return new Promise((resolve, reject) => {
+		fs.mkdtemp(prefix, (err, folder) => {
+			if(err) reject(err);
+			else resolve(folder);
+		});
+	});
+}
+
+/**
+ * Asynchronously removes the file or folder at the specified path. Folders are removed including their contents. 
+ * Removing a path that does not exist is not an error.
+ * @param {String} path The path to remove.
+ * @returns {Promise} A promise that resolves when the path has been removed.
+ */
+const remove = path => {
+	return new Promise((resolve, reject) => {
+		fs.rm(path, {recursive: true, force: true}, err => {
+			if(err) reject(err);
+			else resolve();
+		});
+	});
+}
+
+/**
+ * Asynchronously compresses the file at the specified path using gzip. The file is streamed, so large files can be
+ * compressed without loading them into memory. The original file is kept.
+ * @param {String} path The path of the file to compress.
+ * @param {String} destination The path to write the compressed file to. By default this is the path followed by ".gz".
+ * @returns {Promise} A promise that resolves when the compressed file has been written.
+ */
+const compress = (path, destination = `${path}.gz`) => {
+	return new Promise((resolve, reject) => {
+		pipeline(fs.createReadStream(path), zlib.createGzip(), fs.createWriteStream(destination), err => {
+			if(err) reject(err);
+			else resolve();
+		});
+	});
+}
+
 module.exports = {
-	stat, isFolder, createFolder, isFile, exists, readdir, write, append
+	stat, isFolder, createFolder, createFolderSync, isFile, exists, readdir, write, writeAtomic, writeAtomicSync,
+	append, appendSync, createTempFolder, remove, compress
 }
\ No newline at end of file
@@ -2,9 +2,18 @@ module.exports = {
     ConfigFile: require("./configFile"),
     FSUtils: require("./fs"),
     CryptoUtils: require("./crypto"),
+    TokenUtils: require("./token"),
+    SchemaUtils: require("./schema"),
     Logger: require("./logger"),
+    LogTransports: require("./logTransports"),
+    LogReader: require("./logReader"),
     ApiServer: require("./api/server"),
     ApiRequest: require("./api/request"),
     ApiResponse: require("./api/response"),
-    ApiModel: require("./api/model")
+    ApiModel: require("./api/model"),
+    ApiLogModel: require("./api/logModel"),
+    ApiErrors: require("./api/errors"),
+    ApiCors: require("./api/cors"),
+    ApiRateLimiter: require("./api/rateLimiter"),
+    ApiAuth: require("./api/auth")
 };
\ No newline at end of file
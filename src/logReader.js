@@ -0,0 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+const {pipeline} = require("stream");
+const {StringDecoder} = require("string_decoder");
+const FSUtils = require("./fs");
+const {levels, globPattern, FileTransport} = require("./logTransports");
+
+/**
+ * Returns a promise that resolves after the specified number of milliseconds, or earlier when the signal is aborted.
+ * @param {number} ms The number of milliseconds to wait.
+ * @param {AbortSignal} signal The signal to stop waiting (optional).
+ * @returns {Promise} A promise that resolves after waiting.
+ */
+const sleep = (ms, signal) => {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener("abort", done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+
+        if (signal) signal.addEventListener("abort", done);
+    });
+}
+
+/**
+ * The `LogReader` class reads back the JSON lines files written by a {@link Logger}, see {@link FileTransport}. Files
+ * are streamed line by line, so large and compressed log files can be searched without loading them into memory.
+ *
+ * ### Filters
+ *
+ * - `level` - The least severe level to include, for example "warn" includes `warn`, `error` and `fatal`.
+ * - `namespace` - The namespace to include, where a `*` matches any characters, for example "api*".
+ * - `since` / `until` - The first and last date to include, as Date, timestamp or date string.
+ * - `text` - A text the message must contain, ignoring case, or a regular expression the message must match.
+ */
+class LogReader {
+    /**
+     * Creates a new log reader.
+     * @param {Object} options The options for the reader.
+     * @param {String} options.folder The folder containing the log files. By default this is "./logs".
+     * @param {String} options.name The name of the log to read. By default the files of all logs in the folder are
+     * read.
+     * @param {Function} options.onError A function that receives the error and the path of a log file that could not
+     * be read, for example because it is corrupt. The file is skipped. By default the error is written to the console.
+     */
+    constructor({
+        folder = "./logs", name,
+        onError = (err, filePath) => console.error(`Failed to read log file '${filePath}': ${err.message}`)
+    } = {}) {
+        this.folder = folder;
+        this.name = name;
+        this.onError = onError;
+    }
+
+    /**
+     * Returns a reader for the files written by the specified logger.
+     * @param {Logger} logger The logger.
+     * @returns {LogReader} The log reader.
+     */
+    static fromLogger(logger) {
+        return new LogReader({folder: logger.folder, name: logger.name});
+    }
+
+    /**
+     * Asynchronously returns the log files in the folder, from oldest to newest.
+     * @returns {Promise<Array<Object>>} A promise that resolves with the path, size and modification time of the
+     * files.
+     */
+    async files() {
+        if (!FSUtils.exists(this.folder)) return [];
+
+        const pattern = FileTransport.filePattern(this.name);
+        const files = [];
+
+        for (const file of await FSUtils.readdir(this.folder)) {
+            if (!pattern.test(file)) continue;
+
+            const filePath = path.join(this.folder, file);
+            const stats = await FSUtils.stat(filePath);
+
+            files.push({path: filePath, size: stats.size, modified: stats.mtimeMs});
+        }
+
+        return files.sort((a, b) => a.modified - b.modified || a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Returns the specified date as timestamp.
+     * @param {Date|number|String} value The date.
+     * @returns {number} The timestamp, or undefined when no date is given.
+     */
+    static toTime(value) {
+        if (value === undefined || value === null || value === "") return;
+
+        const time = value instanceof Date ? value.getTime() : typeof value === "number" ? value : Date.parse(value);
+
+        if (isNaN(time)) throw Error(`Invalid date '${value}'.`);
+
+        return time;
+    }
+
+    /**
+     * Returns a function that checks if a log entry matches the specified filters, see the class description.
+     * @param {Object} filters The filters.
+     * @param {String} filters.level The least severe level to include.
+     * @param {String} filters.namespace The namespace to include.
+     * @param {Date|number|String} filters.since The first date to include.
+     * @param {Date|number|String} filters.until The last date to include.
+     * @param {String|RegExp} filters.text The text or regular expression to search for in the message.
+     * @returns {Function} A function that receives a log entry and returns if it matches.
+     */
+    createFilter({level, namespace, since, until, text} = {}) {
+        if (level !== undefined && levels[level] === undefined) throw Error(`Unknown log level '${level}'.`);
+
+        const sinceTime = LogReader.toTime(since);
+        const untilTime = LogReader.toTime(until);
+        const namespacePattern = namespace === undefined ? undefined : globPattern(namespace);
+        const search = typeof text === "string" ? text.toLowerCase() : text;
+
+        return entry => {
+            if (level !== undefined && !(levels[entry.level] >= levels[level])) return false;
+            if (namespacePattern !== undefined && !namespacePattern.test(entry.namespace || "")) return false;
+            if (sinceTime !== undefined || untilTime !== undefined) {
+                const time = Date.parse(entry.date);
+
+                if (sinceTime !== undefined && !(time >= sinceTime)) return false;
+                if (untilTime !== undefined && !(time <= untilTime)) return false;
+            }
+            if (search instanceof RegExp) {
+                search.lastIndex = 0;
+
+                if (!search.test(String(entry.message))) return false;
+            }
+            else if (search && !String(entry.message).toLowerCase().includes(search)) return false;
+
+            return true;
+        };
+    }
+
+    /**
+     * Reads the log entries of the specified file. Compressed files are decompressed while reading and lines that are
+     * not valid JSON are skipped. The file is closed when reading stops, also when it stops early.
+     * @param {String} filePath The path of the log file.
+     * @param {Object} options The options for reading.
+     * @param {number} options.end The position of the last byte to read. By default the whole file is read.
+     * @returns {AsyncGenerator<Object>} The log entries.
+     */
+    async *read(filePath, {end} = {}) {
+        const file = fs.createReadStream(filePath, {end});
+        const input = filePath.endsWith(".gz") ? pipeline(file, zlib.createGunzip(), () => {}) : file;
+
+        const lines = readline.createInterface({input, crlfDelay: Infinity});
+
+        try {
+            for await (const line of lines) {
+                const entry = LogReader.parse(line);
+
+                if (entry !== undefined) yield entry;
+            }
+        } finally {
+            lines.close();
+            input.destroy();
+            file.destroy();
+        }
+    }
+
+    /**
+     * Reads the log entries of the specified file, see .read(). When the file can't be read the error is reported
+     * using onError and the rest of the file is skipped.
+     * @param {String} filePath The path of the log file.
+     * @param {Object} options The options for reading, see .read().
+     * @returns {AsyncGenerator<Object>} The log entries.
+     */
+    async *readSafely(filePath, options) {
+        try {
+            yield* this.read(filePath, options);
+        } catch (err) {
+            this.onError(err, filePath);
+        }
+    }
+
+    /**
+     * Returns the log entry on the specified line.
+     * @param {String} line The line of JSON.
+     * @returns {Object} The log entry, or undefined when the line is not a valid entry.
+     */
+    static parse(line) {
+        if (line.trim() === "") return;
+
+        try {
+            const entry = JSON.parse(line);
+
+            return entry !== null && typeof entry === "object" ? entry : undefined;
+        } catch {
+            return;
+        }
+    }
+
+    /**
+     * Reads the log entries of all log files that match the specified filters, from oldest to newest. Files that
+     * were last written before the since filter are skipped, as well as files that can't be read, see the constructor.
+     * @param {Object} filters The filters, see .createFilter().
+     * @returns {AsyncGenerator<Object>} The log entries.
+     */
+    async *entries(filters = {}) {
+        const filter = this.createFilter(filters);
+        const since = LogReader.toTime(filters.since);
+
+        for (const file of await this.files()) {
+            if (since !== undefined && file.modified < since) continue;
+
+            for await (const entry of this.readSafely(file.path)) {
+                if (filter(entry)) yield entry;
+            }
+        }
+    }
+
+    /**
+     * Asynchronously returns the log entries that match the specified filters.
+     * @param {Object} options The filters, see .createFilter(), and the options for the result.
+     * @param {number} options.limit The maximum number of entries to return. By default all entries are returned.
+     * @param {String} options.order The order of the entries: "asc" (the default) for oldest first or "desc" for
+     * newest first. With a limit the newest entries are returned when the order is "desc".
+     * @returns {Promise<Array<Object>>} A promise that resolves with the log entries.
+     */
+    async query({limit = Infinity, order = "asc", ...filters} = {}) {
+        const entries = [];
+
+        for await (const entry of this.entries(filters)) {
+            entries.push(entry);
+
+            if (order === "asc" && entries.length >= limit) break;
+            if (order === "desc" && entries.length > limit) entries.shift();
+        }
+
+        return order === "desc" ? entries.reverse() : entries;
+    }
+
+    /**
+     * Reads the last log entries that match the specified filters, like `tail`. In follow mode it keeps waiting for
+     * new entries in the newest log file, also after a new file has been started, until the signal is aborted or the
+     * loop is stopped.
+     * @param {Object} options The filters, see .createFilter(), and the options for tailing.
+     * @param {number} options.lines The number of existing entries to read first. By default this is 10.
+     * @param {boolean} options.follow If new entries should be read as they are written. By default this is false.
+     * @param {number} options.interval The number of milliseconds between checks for new entries. By default this is
+     * 1000.
+     * @param {AbortSignal} options.signal The signal to stop following.
+     * @returns {AsyncGenerator<Object>} The log entries.
+     */
+    async *tail({lines = 10, follow = false, interval = 1000, signal, ...filters} = {}) {
+        const filter = this.createFilter(filters);
+        const files = await this.files();
+        const current = files[files.length - 1];
+        const last = [];
+
+        for (const file of files) {
+            if (file === current && file.size === 0) break;
+
+            for await (const entry of this.readSafely(file.path, file === current ? {end: file.size - 1} : {})) {
+                if (!filter(entry)) continue;
+
+                last.push(entry);
+
+                if (last.length > lines) last.shift();
+            }
+        }
+
+        yield* last;
+
+        if (!follow) return;
+
+        const followsCurrent = current !== undefined && !current.path.endsWith(".gz");
+        let following = followsCurrent ? current.path : undefined;
+        let state = {position: followsCurrent ? current.size : 0, decoder: new StringDecoder("utf8"), partial: ""};
+
+        while (!signal || !signal.aborted) {
+            await sleep(interval, signal);
+
+            if (signal && signal.aborted) return;
+
+            const newest = (await this.files()).filter(file => !file.path.endsWith(".gz")).pop();
+
+            if (newest !== undefined && newest.path !== following) {
+                if (following !== undefined) yield* await this.readNew(following, state, filter, {final: true});
+
+                following = newest.path;
+                state = {position: 0, decoder: new StringDecoder("utf8"), partial: ""};
+            }
+            if (following !== undefined) yield* await this.readNew(following, state, filter);
+        }
+    }
+
+    /**
+     * Reads the entries that were added to the specified file since it was last read. The position, the decoder and
+     * the start of an incomplete last line are kept in the specified state, which is updated.
+     * @param {String} filePath The path of the log file.
+     * @param {Object} state The position to start reading at, the decoder for the text and the incomplete last line.
+     * @param {Function} filter The filter for the entries, see .createFilter().
+     * @param {Object} options The options for reading.
+     * @param {boolean} options.final If the file is read for the last time, in which case an incomplete last line is
+     * read as well.
+     * @returns {Promise<Array<Object>>} A promise that resolves with the entries that match the filter.
+     */
+    async readNew(filePath, state, filter, {final = false} = {}) {
+        let size;
+
+        try {
+            size = (await FSUtils.stat(filePath)).size;
+        } catch {
+            size = state.position;
+        }
+
+        // The file was replaced by a smaller one, so start reading it again from the start.
+        if (size < state.position) state.position = 0;
+
+        let text = state.partial;
+
+        if (size > state.position) {
+            for await (const chunk of fs.createReadStream(filePath, {start: state.position, end: size - 1})) {
+                text += state.decoder.write(chunk);
+            }
+        }
+
+        const lines = text.split("\n");
+
+        state.position = size;
+        state.partial = final ? "" : lines.pop();
+
+        return lines.map(line => LogReader.parse(line)).filter(entry => entry !== undefined && filter(entry));
+    }
+}
+
+module.exports = LogReader
\ No newline at end of file
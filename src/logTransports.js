@@ -0,0 +1,640 @@
+const path = require("path");
+const FSUtils = require("./fs");
+
+/**
+ * The log levels from least to most severe. The silent level is only used as minimum level, to log nothing.
+ */
+const levels = {
+    trace: 0,
+    debug: 1,
+    info: 2,
+    warn: 3,
+    error: 4,
+    fatal: 5,
+    silent: 6
+};
+
+const colors = {
+    info: "\x1b[32m",
+    debug: "\x1b[35m",
+    trace: "\x1b[36m",
+    warn: "\x1b[33m",
+    error: "\x1b[31m",
+    fatal: "\x1b[1m\x1b[31m",
+    reset: "\x1b[0m"
+}
+
+/**
+ * Returns the specified text with the characters that have a special meaning in regular expressions escaped.
+ * @param {String} text The text.
+ * @returns {String} The escaped text.
+ */
+const escapeRegExp = text => {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Returns a regular expression that matches the whole of texts matching the specified pattern, where a `*` matches any
+ * characters, for example "api*" for namespaces.
+ * @param {String} glob The pattern.
+ * @returns {RegExp} The regular expression.
+ */
+const globPattern = glob => {
+    return new RegExp(`^${glob.split("*").map(escapeRegExp).join(".*")}$`);
+}
+
+/**
+ * Returns the specified value as JSON, also when it can't be written as JSON as is: circular references are replaced
+ * by "[Circular]" and BigInts by their digits.
+ * @param {any} value The value.
+ * @returns {String} The JSON.
+ */
+const stringify = value => {
+    const ancestors = [];
+
+    return JSON.stringify(value, function (key, item) {
+        if (typeof item === "bigint") return item.toString();
+        if (item === null || typeof item !== "object") return item;
+
+        // The replacer is called with the object containing the item as this, so only its ancestors are kept.
+        while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+
+        if (ancestors.includes(item)) return "[Circular]";
+
+        ancestors.push(item);
+
+        return item;
+    });
+}
+
+/**
+ * The base class of log transports, which write the logs of a {@link Logger} to an output. A transport only writes
+ * logs of at least its minimum level and turns every log into text using its formatter.
+ *
+ * Custom transports extend this class and implement `write(entry)`. Transports that buffer logs also implement
+ * `flush()`, and transports that need to prepare their output implement `initialize(options)`, which is called when
+ * the logger is initialized.
+ */
+class LogTransport {
+    /**
+     * Creates a new transport.
+     * @param {Object} options The options for the transport.
+     * @param {String} options.level The minimum level of logs to write. By default all logs are written.
+     * @param {Function} options.format A function that receives a log entry and returns it as text. This replaces the
+     * default formatter of the transport.
+     */
+    constructor({level = "trace", format} = {}) {
+        if (levels[level] === undefined) throw Error(`Unknown log level '${level}'.`);
+
+        this.level = level;
+
+        if (format) this.format = format;
+    }
+
+    /**
+     * Returns if the specified log entry should be written by this transport.
+     * @param {Object} entry The log entry with the message, level, namespace and date.
+     * @returns {boolean} If the entry should be written.
+     */
+    accepts(entry) {
+        return levels[entry.level] >= levels[this.level];
+    }
+
+    /**
+     * Returns the specified log entry as text. By default this is a line of JSON, in which circular references are
+     * replaced by "[Circular]" and BigInts are written as strings.
+     * @param {Object} entry The log entry.
+     * @returns {String} The formatted entry.
+     */
+    format(entry) {
+        return stringify(entry);
+    }
+
+    /**
+     * Writes the specified log entry.
+     * @param {Object} entry The log entry.
+     */
+    write(entry) {
+        throw Error(`${this.constructor.name} does not implement write.`);
+    }
+
+    /**
+     * Writes all the logs that are buffered by this transport.
+     * @returns {Promise} A promise that resolves when the logs have been written.
+     */
+    async flush() {}
+
+    /**
+     * Closes the transport after writing all the logs that are buffered.
+     * @returns {Promise} A promise that resolves when the transport has closed.
+     */
+    async close() {
+        await this.flush();
+    }
+}
+
+/**
+ * A transport that writes logs to the console as colored text, for example "[12:34 - info] (api): Started".
+ */
+class ConsoleTransport extends LogTransport {
+    /**
+     * Creates a new console transport.
+     * @param {Object} options The options for the transport, see {@link LogTransport}.
+     * @param {boolean} options.colors If the level should be colored. By default this is true.
+     */
+    constructor({colors = true, ...options} = {}) {
+        super(options);
+
+        this.colors = colors;
+    }
+
+    /**
+     * Returns the specified log entry as a line of text with the time, the level, the namespace and the message. When
+     * an error was logged its stack follows on the next lines.
+     * @param {Object} entry The log entry.
+     * @returns {String} The formatted entry.
+     */
+    format({message, level, namespace, date, error}) {
+        const time = new Date(date);
+        const minutes = String(time.getMinutes()).padStart(2, "0");
+        const seconds = String(time.getSeconds()).padStart(2, "0");
+        const levelText = this.colors ? `${colors[level]}${level}${colors.reset}` : level;
+        const line = `[${minutes}:${seconds} - ${levelText}]${namespace ? ` (${namespace}): ` : ": "}${message}`;
+
+        return error && error.stack ? `${line}\n${error.stack}` : line;
+    }
+
+    /**
+     * Writes the specified log entry to the console.
+     * @param {Object} entry The log entry.
+     */
+    write(entry) {
+        console.log(this.format(entry));
+    }
+}
+
+/**
+ * A transport that writes logs as lines of JSON to a stream, by default the standard output. This is useful when
+ * running in containers, where the output is collected and parsed.
+ */
+class JsonTransport extends LogTransport {
+    /**
+     * Creates a new JSON transport.
+     * @param {Object} options The options for the transport, see {@link LogTransport}.
+     * @param {Writable} options.stream The stream to write to. By default this is process.stdout.
+     */
+    constructor({stream = process.stdout, ...options} = {}) {
+        super(options);
+
+        this.stream = stream;
+    }
+
+    /**
+     * Writes the specified log entry to the stream.
+     * @param {Object} entry The log entry.
+     */
+    write(entry) {
+        this.stream.write(`${this.format(entry)}\n`);
+    }
+}
+
+/**
+ * A transport that keeps the most recent logs in memory, dropping the oldest logs when it is full. This is useful for
+ * tests and for exposing recent logs, for example over the api.
+ */
+class MemoryTransport extends LogTransport {
+    /**
+     * Creates a new memory transport.
+     * @param {Object} options The options for the transport, see {@link LogTransport}.
+     * @param {number} options.size The maximum number of logs to keep. By default this is 1000.
+     */
+    constructor({size = 1000, ...options} = {}) {
+        super(options);
+
+        this.size = size;
+        this.clear();
+    }
+
+    /**
+     * Keeps the specified log entry, replacing the oldest entry when the buffer is full.
+     * @param {Object} entry The log entry.
+     */
+    write(entry) {
+        this.buffer[(this.start + this.count) % this.size] = entry;
+
+        if (this.count < this.size) this.count++;
+        else this.start = (this.start + 1) % this.size;
+    }
+
+    /**
+     * Returns the logs that are kept, from oldest to newest.
+     * @returns {Array<Object>} The log entries.
+     */
+    entries() {
+        const entries = [];
+
+        for (let i = 0; i < this.count; i++) entries.push(this.buffer[(this.start + i) % this.size]);
+
+        return entries;
+    }
+
+    /**
+     * Returns the logs that are kept as text using the formatter, from oldest to newest.
+     * @returns {Array<String>} The formatted log entries.
+     */
+    lines() {
+        return this.entries().map(entry => this.format(entry));
+    }
+
+    /**
+     * Removes all logs that are kept.
+     */
+    clear() {
+        this.buffer = new Array(this.size);
+        this.start = 0;
+        this.count = 0;
+    }
+}
+
+/**
+ * A transport that writes logs as lines of JSON to files in a folder. Logs are kept in a cache and written in batches.
+ * Until the transport is initialized all logs are kept in the cache. New files are started daily or when a file
+ * reaches its maximum size, after which the previous file can be compressed and old files are removed.
+ */
+class FileTransport extends LogTransport {
+    /**
+     * Creates a new file transport.
+     * @param {Object} options The options for the transport, see {@link LogTransport}.
+     * @param {String} options.name The name of the log, which is used as start of the filenames.
+     * @param {String} options.folder The folder to place the log in. By default this is "./logs".
+     * @param {number} options.writeAfter Write after the size of the cache is larger than this number. By default this
+     * is 100.
+     * @param {String|boolean} options.rotate When to start a new log file: "daily" (the default) starts a new file
+     * every day, false keeps writing to the same file.
+     * @param {number} options.maxSize The maximum size of a log file in bytes, after which a new file is started. By
+     * default the size is not limited.
+     * @param {boolean} options.compress If log files should be compressed using gzip once a new file is started. By
+     * default this is false.
+     * @param {number} options.maxFiles The maximum number of log files to keep, including the current one. By default
+     * all files are kept.
+     * @param {number} options.maxDays The number of days to keep log files. By default all files are kept.
+     * @param {number} options.maxCache The maximum number of logs in the cache, for example while the disk can't be
+     * written to. By default this is 10000.
+     * @param {String} options.dropPolicy Which logs are dropped when the cache is full: "oldest" (the default) or
+     * "newest". The number of dropped logs is logged as warning once the cache can be written again.
+     * @param {Function} options.onError A function that receives the error when logs could not be written in the
+     * background. The logs are kept in the cache to try again later. By default the error is written to the console.
+     */
+    constructor({
+        name, folder = "./logs", writeAfter = 100, rotate = "daily", maxSize, compress = false, maxFiles, maxDays,
+        maxCache = 10000, dropPolicy = "oldest", onError = err => console.error(`Failed to write logs: ${err.message}`),
+        ...options
+    } = {}) {
+        super(options);
+
+        if (!["oldest", "newest"].includes(dropPolicy)) throw Error(`Unknown drop policy '${dropPolicy}'.`);
+
+        this.name = name;
+        this.folder = folder;
+        this.writeAfter = writeAfter;
+        this.rotate = rotate;
+        this.maxSize = maxSize;
+        this.compress = compress;
+        this.maxFiles = maxFiles;
+        this.maxDays = maxDays;
+        this.maxCache = maxCache;
+        this.dropPolicy = dropPolicy;
+        this.onError = onError;
+        this.cache = [];
+        this.dropped = 0;
+        this.writing = undefined;
+        this.failing = false;
+    }
+
+    /**
+     * Creates the folder if it doesn't exist already and starts a new log file. The cache that is being stored will
+     * be written lastly.
+     * @param {Object} options The options to change.
+     * @param {String} options.folder The folder to write the log to.
+     * @param {String} options.name The name of the log.
+     * @param {number} options.writeAfter Write after the size of the cache is larger than this number.
+     * @returns {Promise} A promise that resolves when the transport has been initialized.
+     */
+    async initialize({folder = this.folder, name = this.name, writeAfter = this.writeAfter} = {}) {
+        this.folder = folder;
+        this.name = name;
+        this.writeAfter = writeAfter;
+
+        if (!FSUtils.exists(this.folder) || !await FSUtils.isFolder(this.folder)) {
+            await FSUtils.createFolder(this.folder);
+        }
+
+        this.openFile();
+        await this.removeOldFiles();
+        await this.writeCache();
+    }
+
+    /**
+     * Adds the specified log entry to the cache, which is written once it is large enough. Errors while writing are
+     * passed to the error handler once, until writing succeeds again.
+     * @param {Object} entry The log entry.
+     */
+    write(entry) {
+        this.addToCache([entry]);
+        this.writeCache().catch(err => {
+            if (!this.failing) this.onError(err);
+
+            this.failing = true;
+        });
+    }
+
+    /**
+     * Adds the specified log entries to the cache. When the cache becomes larger than its maximum size logs are
+     * dropped according to the drop policy.
+     * @param {Array<Object>} entries The log entries.
+     * @param {Object} options The options for adding.
+     * @param {boolean} options.front If the entries should be added before the entries in the cache, which is used to
+     * put back entries that could not be written.
+     */
+    addToCache(entries, {front = false} = {}) {
+        if (front) this.cache.unshift(...entries);
+        else this.cache.push(...entries);
+
+        const excess = this.cache.length - this.maxCache;
+
+        if (excess <= 0) return;
+
+        this.dropped += excess;
+
+        if (this.dropPolicy === "newest") this.cache.splice(this.maxCache, excess);
+        else this.cache.splice(0, excess);
+    }
+
+    /**
+     * Takes all the log entries from the cache, followed by a warning about dropped logs when logs have been dropped.
+     * @returns {Object} The log entries and the number of dropped logs, to put them back when writing fails.
+     */
+    takeCache() {
+        const entries = this.cache;
+        const dropped = this.dropped;
+
+        this.cache = [];
+        this.dropped = 0;
+
+        if (dropped === 0) return {entries, dropped};
+
+        return {
+            entries: entries.concat({
+                message: `Dropped ${dropped} logs because the cache was full`,
+                level: "warn",
+                namespace: "logger",
+                date: new Date().toISOString()
+            }),
+            dropped
+        };
+    }
+
+    /**
+     * Writes all the logs in the cache to the current log file, including logs that are added while writing. When a
+     * write is in progress it is waited for first. Before the transport is initialized there is no log file, so the
+     * logs are kept in the cache.
+     * @returns {Promise} A promise that resolves when all logs are on disk, or rejects when they could not be written.
+     */
+    async flush() {
+        while (this.path !== undefined && (this.writing || this.cache.length > 0 || this.dropped > 0)) {
+            if (this.writing) await this.writing.catch(() => {});
+            else await this.writeCache(this.path, {force: true});
+        }
+    }
+
+    /**
+     * Synchronously writes all the logs in the cache, for when the process is exiting and asynchronous writes would
+     * not finish. When the transport isn't initialized the logs are written to an emergency file in the folder. Logs
+     * of a write that is in progress are not written again.
+     */
+    flushSync() {
+        if (this.cache.length === 0 && this.dropped === 0) return;
+        if (this.path === undefined) {
+            FSUtils.createFolderSync(this.folder);
+            this.openFile();
+        }
+
+        const text = this.formatEntries(this.takeCache().entries);
+
+        FSUtils.appendSync(this.path, text);
+        this.size += Buffer.byteLength(text);
+    }
+
+    /**
+     * Closes the transport once all logs in the cache have been written. If the transport isn't initialized the logs
+     * are written to an emergency file. This is done to ensure that the logs will always be written even when the
+     * transport isn't sure where to write them.
+     * @returns {Promise} A promise that resolves when all logs are on disk.
+     */
+    async close() {
+        if (this.path === undefined) {
+            if (this.cache.length === 0 && this.dropped === 0) return;
+            if (!FSUtils.exists(this.folder) || !await FSUtils.isFolder(this.folder)) {
+                await FSUtils.createFolder(this.folder);
+            }
+
+            this.openFile();
+        }
+
+        await this.flush();
+    }
+
+    /**
+     * Writes all the logs that are still in cache to the file at the specified path. Ifter writing this asynchronously
+     * there are more logs these will be written too. This ensures that the logs will be written in the correct order.
+     * When writing fails the logs are put back in the cache.
+     * @param {String} path The path to write the cache to. By default this is the path set at this.path.
+     * @param {Object} options The options when writing cache.
+     * @param {boolean} options.force Forces the cache to be written.
+     * @returns {Promise} A promise that resolves when all logs are written or when some other call is making sure they
+     * are written. Don't depend on the logs being written after this is resolved, use .flush() instead.
+     */
+    async writeCache(path = this.path, {force=false} = {}) {
+        if (this.writing ||
+            path === undefined ||
+            (this.cache.length === 0 && this.dropped === 0) ||
+            (!force && this.cache.length <= this.writeAfter)) return;
+
+        const {entries, dropped} = this.takeCache();
+
+        this.writing = this.writeEntries(path, entries);
+
+        try {
+            await this.writing;
+            this.failing = false;
+        } catch (err) {
+            this.dropped += dropped;
+            this.addToCache(dropped > 0 ? entries.slice(0, -1) : entries, {front: true});
+
+            throw err;
+        } finally {
+            this.writing = undefined;
+        }
+
+        if(this.cache.length > 0) await this.writeCache();
+    }
+
+    /**
+     * Appends the specified log entries to the file at the specified path. When writing to the current log file a new
+     * file is started first if needed.
+     * @param {String} path The path to write to.
+     * @param {Array<Object>} entries The log entries.
+     * @returns {Promise} A promise that resolves when the entries have been written.
+     */
+    async writeEntries(path, entries) {
+        const text = this.formatEntries(entries);
+        const size = Buffer.byteLength(text);
+
+        if (path === this.path && this.shouldRotate(size)) {
+            await this.rotateFile();
+            path = this.path;
+        }
+
+        await FSUtils.append(path, text);
+
+        if (path === this.path) this.size += size;
+    }
+
+    /**
+     * Returns the specified log entries as text using the formatter, one entry per line. An entry that can't be
+     * formatted is replaced by an error entry, so it can't keep the other entries from being written.
+     * @param {Array<Object>} entries The log entries.
+     * @returns {String} The text.
+     */
+    formatEntries(entries) {
+        return entries.map(entry => {
+            try {
+                return this.format(entry);
+            } catch (err) {
+                return stringify({
+                    message: `Failed to format a log entry: ${err.message}`,
+                    level: "error",
+                    namespace: "logger",
+                    date: entry.date
+                });
+            }
+        }).join("\n") + "\n";
+    }
+
+    /**
+     * Starts writing to a new log file, named after the name of the log and the current date and time. When a file
+     * with that name already exists a number is added to the name.
+     */
+    openFile() {
+        const now = new Date();
+        const base = path.join(this.folder, `${this.name}-${this.date(now)}-${this.time(now)}`);
+        let filePath = `${base}.log`;
+
+        for (let i = 1; FSUtils.exists(filePath) || FSUtils.exists(`${filePath}.gz`); i++) {
+            filePath = `${base}-${i}.log`;
+        }
+
+        this.path = filePath;
+        this.fileDate = this.date(now);
+        this.size = 0;
+    }
+
+    /**
+     * Returns if a new log file should be started before writing the specified number of bytes, because the day has
+     * changed or the file would become larger than the maximum size.
+     * @param {number} size The number of bytes that will be written.
+     * @returns {boolean} If a new log file should be started.
+     */
+    shouldRotate(size) {
+        if (this.rotate === "daily" && this.fileDate !== this.date(new Date())) return true;
+
+        return this.maxSize !== undefined && this.size > 0 && this.size + size > this.maxSize;
+    }
+
+    /**
+     * Starts a new log file. The previous file is compressed when compression is enabled, after which old log files
+     * are removed.
+     * @returns {Promise} A promise that resolves when the new file has been started.
+     */
+    async rotateFile() {
+        const previous = this.path;
+
+        this.openFile();
+
+        if (this.compress && FSUtils.exists(previous)) {
+            await FSUtils.compress(previous);
+            await FSUtils.remove(previous);
+        }
+
+        await this.removeOldFiles();
+    }
+
+    /**
+     * Removes the log files of this log that are older than the maximum number of days, or that exceed the maximum
+     * number of files starting with the newest. The current log file is always kept.
+     * @returns {Promise} A promise that resolves when the old files have been removed.
+     */
+    async removeOldFiles() {
+        if (this.maxFiles === undefined && this.maxDays === undefined) return;
+
+        const pattern = FileTransport.filePattern(this.name);
+        const files = [];
+
+        for (const file of await FSUtils.readdir(this.folder)) {
+            const filePath = path.join(this.folder, file);
+
+            if (!pattern.test(file) || filePath === this.path) continue;
+
+            files.push({path: filePath, modified: (await FSUtils.stat(filePath)).mtimeMs});
+        }
+
+        files.sort((a, b) => b.modified - a.modified);
+
+        const minimumDate = this.maxDays === undefined ? -Infinity : Date.now() - this.maxDays * 24 * 60 * 60 * 1000;
+
+        for (const [index, file] of files.entries()) {
+            if (file.modified < minimumDate || (this.maxFiles !== undefined && index >= this.maxFiles - 1)) {
+                await FSUtils.remove(file.path);
+            }
+        }
+    }
+
+    /**
+     * Returns a regular expression that matches the names of the log files of the log with the specified name,
+     * including compressed files.
+     * @param {String} name The name of the log. By default the files of all logs are matched.
+     * @returns {RegExp} The regular expression.
+     */
+    static filePattern(name) {
+        const prefix = name === undefined ? ".+" : escapeRegExp(name);
+
+        return new RegExp(`^${prefix}-\\d{4}-\\d{2}-\\d{2}-[\\d-]+\\.log(\\.gz)?$`);
+    }
+
+    /**
+     * Returns the specified date as string in the format year, month, day, for example "2024-05-01".
+     * @param {Date} date The date.
+     * @returns {String} The formatted date.
+     */
+    date(date) {
+        const month = String(date.getMonth() + 1).padStart(2, "0");
+        const day = String(date.getDate()).padStart(2, "0");
+
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Returns the time of the specified date as string in the format hours, minutes, seconds, for example "13-05-09".
+     * @param {Date} date The date.
+     * @returns {String} The formatted time.
+     */
+    time(date) {
+        return [date.getHours(), date.getMinutes(), date.getSeconds()]
+            .map(part => String(part).padStart(2, "0"))
+            .join("-");
+    }
+}
+
+module.exports = {
+    levels, globPattern, LogTransport, ConsoleTransport, JsonTransport, MemoryTransport, FileTransport
+};
\ No newline at end of file
@@ -1,16 +1,10 @@
-const path = require("path");
-const FSUtils = require("./fs");
 const {performance} = require('perf_hooks');
+const {levels, globPattern, ConsoleTransport, FileTransport} = require("./logTransports");
 
-const colors = {
-    info: "\x1b[32m",
-    debug: "\x1b[35m",
-    trace: "\x1b[36m",
-    warn: "\x1b[33m",
-    error: "\x1b[31m",
-    fatal: "\x1b[1m\x1b[31m",
-    reset: "\x1b[0m"
-}
+/**
+ * The named levels of the numeric log levels that were originally supported.
+ */
+const numericLevels = ["info", "debug", "trace"];
 
 /**
  * The `Logger` class is used to keep track of events when debugging IJO.
@@ -24,6 +18,11 @@ const colors = {
  * - `warn` - Unexpected events/uses that should not occure normally
  * - `error` - Serious issues that can cause things to fail
  * - `fatal` - Serious issues that cause the entire application to fail
+ * 
+ * ### Transports
+ * 
+ * Logs are written by transports, see {@link LogTransport}. By default a logger writes to the console and to files in
+ * its folder, but any set of transports can be given, each with its own minimum level and formatter.
  */
 class Logger {
     /**
@@ -31,6 +30,11 @@ class Logger {
      * 
      * ### Logging Level
      * 
+     * The level is the name of the least severe type of log that is logged: `trace`, `debug`, `info`, `warn`,
+     * `error` or `fatal`, or `silent` to log nothing. Different levels can be used for namespaces using a list like
+     * `api:trace,db:warn,*:info`, where a `*` in a namespace matches any characters and the level without namespace or
+     * for `*` is used for all other logs. For compatibility numeric levels are accepted as well:
+     * 
      * `0` - logs `info`, `warn`, `error`, and `fatal`. Usage for production
      * `1` - logs all in `0` and `debug`. Used for basic debugging
      * `2` - logs all in `1` and `trace`. Used to see every detail logged for advanced debugging
@@ -38,137 +42,343 @@ class Logger {
      * @param {Object} options The default options for the logger. These options will be overwritten on initialization.
      * @param {String} options.name Name of the log.
      * @param {String} options.folder The folder to place the log in. By default this is "./logs".
-     * @param {number} options.logLevel The level of logging accepted, see above.
+     * @param {number|String} options.logLevel The level of logging accepted, see above. By default this is "info".
+     * @param {String|boolean} options.envVariable The environment variable that, when set, replaces the level of
+     * logging. By default this is "LOG_LEVEL", false ignores the environment.
      * @param {number} options.writeAfter Write after the size of the cache is larger than this number. By default this
      * is 100.
+     * @param {String|boolean} options.rotate When to start a new log file: "daily" (the default) starts a new file
+     * every day, false keeps writing to the same file.
+     * @param {number} options.maxSize The maximum size of a log file in bytes, after which a new file is started. By
+     * default the size is not limited.
+     * @param {boolean} options.compress If log files should be compressed using gzip once a new file is started. By
+     * default this is false.
+     * @param {number} options.maxFiles The maximum number of log files to keep, including the current one. By default
+     * all files are kept.
+     * @param {number} options.maxDays The number of days to keep log files. By default all files are kept.
+     * @param {number} options.maxCache The maximum number of logs waiting to be written to a file. By default this is
+     * 10000.
+     * @param {String} options.dropPolicy Which logs are dropped when the cache is full: "oldest" (the default) or
+     * "newest".
+     * @param {Array<LogTransport>} options.transports The transports to write logs to. By default logs are written to
+     * the console and to a file using the options above, see {@link ConsoleTransport} and {@link FileTransport}.
+     * @param {boolean} options.flushOnExit If logs should be written synchronously when the process exits, has an
+     * uncaught exception or receives SIGINT or SIGTERM, see .handleExit(). By default this is false.
      */
-    constructor({name, folder="./logs", logLevel=0, writeAfter=100} = {}) {
-        if (logLevel < 0 || logLevel > 2) throw Error(`Log level of '${logLevel}' not accepted; must be 0, 1, or 2`);
+    constructor({
+        name, folder="./logs", logLevel="info", envVariable="LOG_LEVEL", writeAfter=100, rotate="daily", maxSize,
+        compress=false, maxFiles, maxDays, maxCache=10000, dropPolicy="oldest", transports, flushOnExit=false
+    } = {}) {
+        if (envVariable && process.env[envVariable]) logLevel = process.env[envVariable];
+
         this.name = name;
         this.folder = folder;
-        this.logLevel = logLevel;
+        this.levelFilter = {level: "info", namespaces: []};
+        this.setLevel(logLevel);
         this.writeAfter = writeAfter;
-        this.cache = [];
         this.initialized = false;
-        this.writing = false;
+        this.namespace = undefined;
+        this.fields = {};
+
+        if (transports === undefined) {
+            this.fileTransport = new FileTransport({
+                name, folder, writeAfter, rotate, maxSize, compress, maxFiles, maxDays, maxCache, dropPolicy
+            });
+            transports = [new ConsoleTransport(), this.fileTransport];
+        }
+
+        this.transports = transports;
+
+        if (flushOnExit) this.handleExit();
     }
 
     /**
-     * Initialize the log with a folder, name and logLevel. It will also create the folder if it doesn't exist already.
-     * The cache that is being stored will be written lastly.
+     * Initialize the log with a folder, name and logLevel. The default file transport uses the folder, name and
+     * writeAfter and will create the folder if it doesn't exist already. Other transports are initialized as well.
      * @param {Object} options The options when logging.
      * @param {String} options.folder The folder to write the log to (by default is the ./logs/ directory).
      * @param {String} options.name The name of this log.
-     * @param {number} options.logLevel The level of logging that will be included.
+     * @param {number|String} options.logLevel The level of logging that will be included, see the constructor.
      * @param {number} options.writeAfter Write after the size of the cache is larger than this number. By default this
      * is 100.
-     * @returns {Promise} A promise that resolves when the logger has been initialized.
+     * @returns {Promise} A promise that resolves when the logger and its transports have been initialized.
      */
     async initialize({folder=this.folder, name=this.name, logLevel=this.logLevel, writeAfter=this.writeAfter} = {}) {
         this.folder = folder;
         this.name = name;
-        this.logLevel = logLevel;
         this.writeAfter = writeAfter;
-        this.path = path.join(this.folder, `${this.name}-${this.time({includeHours: true, separator: "-"})}.log`);
 
-        if (!FSUtils.exists(this.folder) || !await FSUtils.isFolder(this.folder)) {
-            await FSUtils.createFolder(this.folder);
-        }
+        if (logLevel !== this.logLevel) this.setLevel(logLevel);
 
-        if (this.cache === undefined) return;
+        for (const transport of this.transports) {
+            if (transport === this.fileTransport) await transport.initialize({folder, name, writeAfter});
+            else if (transport.initialize) await transport.initialize();
+        }
 
-        await this.writeCache();
+        this.initialized = true;
     }
 
     /**
-     * Closes the logger. If there is still logs in the cache and it is not writing them it will write them to an
-     * emergency file. This is done to ensure that the logs will always be written even when the logger isn't sure
-     * where to write them.
-     * @returns {Promise} A promise that resolves when the logger has closed.
+     * Changes the level of logging while the logger is running. Without namespace the level replaces all levels,
+     * including those of namespaces, and may be a list of levels per namespace, see the constructor. With namespace
+     * only the level of that namespace is changed. The level is shared with child loggers.
+     * @param {number|String} level The level of logging.
+     * @param {String} namespace The namespace to change the level of, which may contain `*` (optional).
      */
-    async close() {
-        if(this.cache.length === 0 || this.writing) return;
-        if(this.path) {
-            this.writeCache(this.path, {force: true});
+    setLevel(level, namespace) {
+        if (namespace !== undefined) {
+            const rule = Logger.levelRule(namespace, Logger.parseLevel(level));
+
+            this.levelFilter.namespaces = this.levelFilter.namespaces
+                .filter(other => other.namespace !== namespace)
+                .concat(rule);
 
             return;
         }
 
-        if (!FSUtils.exists(this.folder) || !await FSUtils.isFolder(this.folder)) {
-            await FSUtils.createFolder(this.folder);
+        const filter = {level: "info", namespaces: []};
+
+        for (const part of typeof level === "number" ? [level] : String(level).split(",")) {
+            const separator = String(part).lastIndexOf(":");
+            const partNamespace = separator === -1 ? "*" : part.substring(0, separator).trim();
+            const partLevel = Logger.parseLevel(separator === -1 ? part : part.substring(separator + 1));
+
+            if (partNamespace === "*") filter.level = partLevel;
+            else filter.namespaces.push(Logger.levelRule(partNamespace, partLevel));
         }
-        
-        this.path = path.join(this.folder, `${this.name}-${this.time({includeHours: true, separator: "-"})}.log`);
 
-        await this.writeCache(path, {force: true});
+        this.logLevel = level;
+        this.levelFilter.level = filter.level;
+        this.levelFilter.namespaces = filter.namespaces;
+    }
+
+    /**
+     * Returns the level of logging for the specified namespace. An exact namespace takes precedence over namespaces
+     * with a `*`, of which the longest one that matches is used.
+     * @param {String} namespace The namespace.
+     * @returns {String} The name of the level.
+     */
+    getLevel(namespace) {
+        if (namespace === undefined) return this.levelFilter.level;
+
+        const rule = this.levelFilter.namespaces
+            .filter(rule => rule.pattern.test(namespace))
+            .sort((a, b) => (a.exact === b.exact ? b.namespace.length - a.namespace.length : b.exact - a.exact))[0];
+
+        return rule ? rule.level : this.levelFilter.level;
+    }
+
+    /**
+     * Returns if logs of the specified level and namespace are logged.
+     * @param {String} level The name of the level.
+     * @param {String} namespace The namespace.
+     * @returns {boolean} If the logs are logged.
+     */
+    isLevelEnabled(level, namespace) {
+        return levels[level] >= levels[this.getLevel(namespace)];
     }
 
     /**
-     * Writes all the logs that are still in cache to the file at the specified path. Ifter writing this asynchronously
-     * there are more logs these will be written too. This ensures that the logs will be written in the correct order.
-     * @param {String} path The path to write the cache to. By default this is the path set at this.path. 
-     * @param {Object} options The options when writing cache.
-     * @param {boolean} options.force Forces the cache to be written.
-     * @returns {Promise} A promise that resolves when all logs are written or when some other call is making sure they
-     * are written. Don't depend on the logs being written after this is resolved.
+     * Returns the name of the specified level, which may be a name or one of the numeric levels.
+     * @param {number|String} level The level.
+     * @returns {String} The name of the level.
      */
-    async writeCache(path = this.path, {force=false} = {}) {
-        if (this.writing || 
-            path === undefined || 
-            this.cache.length === 0 ||
-            (!force && this.cache.length <= this.writeAfter)) return;
+    static parseLevel(level) {
+        const name = typeof level === "number" || /^\d+$/.test(String(level).trim()) ?
+            numericLevels[Number(level)] :
+            String(level).trim().toLowerCase();
 
-        const text = this.cache.map(log => JSON.stringify(log)).join("\n") + "\n";
-        
-        this.cache = [];
-        this.writing = true;
+        if (levels[name] === undefined) {
+            const names = Object.keys(levels).join(", ");
 
-        await FSUtils.append(this.path, text);
+            throw Error(`Log level of '${level}' not accepted; must be 0, 1, 2 or one of ${names}`);
+        }
 
-        this.writing = false;
+        return name;
+    }
 
-        if(this.cache.length > 0) await this.writeCache();
+    /**
+     * Returns the rule for the level of the specified namespace.
+     * @param {String} namespace The namespace, which may contain `*` to match any characters.
+     * @param {String} level The name of the level.
+     * @returns {Object} The rule with the namespace, a pattern matching it, if it is exact and the level.
+     */
+    static levelRule(namespace, level) {
+        return {namespace, pattern: globPattern(namespace), exact: !namespace.includes("*"), level};
     }
 
     /**
-     * Logs the given message with the specified log level and namespace.
-     * @param {String} message Message to log.
-     * @param {Object} options The options to log.
-     * @param {number} options.level The log level.
-     * @param {String} options.namespace The namespace.
+     * Adds the specified transport, which will receive all logs from now on.
+     * @param {LogTransport} transport The transport to add.
      */
-    log(message, {level, namespace} = {}) {
-        this.logToConsole(message, {level, namespace});
-        this.logToFile(message, {level, namespace});
+    addTransport(transport) {
+        this.transports.push(transport);
     }
 
     /**
-     * logs the message to the console.
-     * @param {String} message Message to log.
-     * @param {Object} options The options to log.
-     * @param {number} options.level The log level.
-     * @param {String} options.namespace The namespace.
+     * Removes the specified transport, after which it no longer receives logs. The transport is not closed.
+     * @param {LogTransport} transport The transport to remove.
+     */
+    removeTransport(transport) {
+        this.transports = this.transports.filter(other => other !== transport);
+    }
+
+    /**
+     * Writes all the logs that are buffered by the transports.
+     * @returns {Promise} A promise that resolves when the transports have written all their logs, including logs that
+     * were being written when this was called.
+     */
+    async flush() {
+        await Promise.all(this.transports.map(transport => transport.flush()));
+    }
+
+    /**
+     * Synchronously writes all the logs that are buffered by transports that support it, for when the process is
+     * exiting. Errors are ignored, as there is nowhere left to report them.
+     */
+    flushSync() {
+        for (const transport of this.transports) {
+            try {
+                if (transport.flushSync) transport.flushSync();
+            } catch {
+                // The process is exiting, so the logs of this transport are lost.
+            }
+        }
+    }
+
+    /**
+     * Writes the logs synchronously when the process exits, has an uncaught exception or receives SIGINT or SIGTERM.
+     * Uncaught exceptions are logged as fatal without changing how the process handles them. When nothing else
+     * handles a signal it is raised again after writing, so the process still stops.
+     */
+    handleExit() {
+        if (this.exitHandlers) return;
+
+        this.exitHandlers = {
+            exit: () => this.flushSync(),
+            uncaughtExceptionMonitor: err => {
+                this.fatal(err, "process");
+                this.flushSync();
+            }
+        };
+
+        for (const signal of ["SIGINT", "SIGTERM"]) {
+            this.exitHandlers[signal] = () => {
+                this.flushSync();
+
+                if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+            };
+        }
+
+        for (const [event, handler] of Object.entries(this.exitHandlers)) {
+            if (event.startsWith("SIG")) process.once(event, handler);
+            else process.on(event, handler);
+        }
+    }
+
+    /**
+     * Stops writing the logs when the process exits, see .handleExit().
+     */
+    removeExitHandlers() {
+        if (!this.exitHandlers) return;
+
+        for (const [event, handler] of Object.entries(this.exitHandlers)) process.off(event, handler);
+
+        this.exitHandlers = undefined;
+    }
+
+    /**
+     * Closes the logger by closing all of its transports, which write the logs they still have buffered.
+     * @returns {Promise} A promise that resolves when the transports have closed and all logs have been written.
+     */
+    async close() {
+        this.removeExitHandlers();
+
+        await Promise.all(this.transports.map(transport => transport.close()));
+    }
+
+    /**
+     * Returns a child logger with bound context. The child writes to the same transports and uses the same log level
+     * as this logger, but uses its own namespace when none is given and adds its fields to every log. Fields of this
+     * logger are inherited by the child.
+     * @param {Object} context The context of the child.
+     * @param {String} context.namespace The namespace of logs without a namespace. By default this is the namespace of
+     * this logger.
+     * @param {...any} context.fields The fields to add to every log, for example {requestId: "5f2b"}.
+     * @returns {Logger} The child logger.
+     */
+    child({namespace = this.namespace, ...fields} = {}) {
+        const child = Object.create(this);
+
+        child.namespace = namespace;
+        child.fields = {...this.fields, ...fields};
+
+        return child;
+    }
+
+    /**
+     * Returns the specified error as plain object that can be written as JSON, including its stack, its own properties
+     * such as a code, and the chain of errors that caused it.
+     * @param {Error} err The error to serialize.
+     * @param {Set<Error>} seen The errors that have already been serialized, to stop at circular causes.
+     * @returns {Object} The serialized error.
      */
-    logToConsole(message, {level, namespace} = {}) {
-        const time = this.time();
+    static serializeError(err, seen = new Set()) {
+        const serialized = {name: err.name, message: err.message, stack: err.stack, ...err};
+
+        seen.add(err);
+
+        const serialize = value => {
+            if (!(value instanceof Error)) return value;
+
+            return seen.has(value) ? "[Circular]" : Logger.serializeError(value, seen);
+        };
+
+        if (err.cause !== undefined) serialized.cause = serialize(err.cause);
+        if (Array.isArray(err.errors)) serialized.errors = err.errors.map(serialize);
 
-        console.log(`[${time} - ${colors[level]}${level}${colors.reset}]${namespace ? ` (${namespace}): ` : ": "}${message}`);
+        return serialized;
     }
 
     /**
-     * logs the message to the file or if there is no file it will add it to the cache.
-     * @param {String} message Message to log.
+     * Logs the given message with the specified log level, namespace and metadata, when the level of logging for the
+     * namespace includes it. The fields of the logger and the metadata are added to the log, where errors are
+     * serialized including their stack, see .serializeError(). When the message is an error its message is logged and
+     * the error is added as error.
+     * @param {String|Error} message Message to log.
      * @param {Object} options The options to log.
      * @param {number} options.level The log level.
-     * @param {String} options.namespace The namespace.
+     * @param {String} options.namespace The namespace. By default this is the namespace of the logger.
+     * @param {Object} options.metadata The metadata to add to the log, for example {userId: 12}.
      */
-    logToFile(message, {level, namespace} = {}) {
-        const date = this.timestamp();
+    log(message, {level, namespace = this.namespace, metadata} = {}) {
+        if (!this.isLevelEnabled(level, namespace)) return;
+        if (message instanceof Error) {
+            metadata = {error: message, ...metadata};
+            message = message.message;
+        }
+
+        const entry = {message, level, namespace, date: this.timestamp()};
+
+        for (const [key, value] of Object.entries({...this.fields, ...metadata})) {
+            if (!Object.prototype.hasOwnProperty.call(entry, key)) entry[key] = value instanceof Error ? Logger.serializeError(value) : value;
+        }
 
-        this.cache.push({
-            message, level, namespace, date
-        });
-        this.writeCache();
+        for (const transport of this.transports) {
+            if (transport.accepts(entry)) transport.write(entry);
+        }
+    }
+
+    /**
+     * Returns the namespace and metadata passed to a log method, which may be called with only metadata.
+     * @param {String|Object} namespace The namespace or the metadata.
+     * @param {Object} metadata The metadata.
+     * @returns {Object} The namespace, which is omitted when not given, and the metadata.
+     */
+    static context(namespace, metadata) {
+        if (namespace !== null && typeof namespace === "object") return {metadata: namespace};
+
+        return namespace === undefined ? {metadata} : {namespace, metadata};
     }
 
     /**
@@ -211,60 +421,62 @@ class Logger {
 
     /**
      * Log simple information.
-     * @param {String} message Message to log.
-     * @param {String} namespace The namespace.
+     * @param {String|Error} message Message to log.
+     * @param {String|Object} namespace The namespace, or the metadata when there is no namespace.
+     * @param {Object} metadata The metadata to add to the log.
      */
-    info(message, namespace) {
-        this.log(message, {level: "info", namespace});
+    info(message, namespace, metadata) {
+        this.log(message, {level: "info", ...Logger.context(namespace, metadata)});
     }
 
     /**
-     * Log a debug message. This is only logged when the log level is high enough.
-     * @param {String} message Message to log.
-     * @param {String} namespace The namespace.
+     * Log a debug message.
+     * @param {String|Error} message Message to log.
+     * @param {String|Object} namespace The namespace, or the metadata when there is no namespace.
+     * @param {Object} metadata The metadata to add to the log.
      */
-    debug(message, namespace) {
-        if (this.logLevel < 1) return;
-
-        this.log(message, {level: "debug", namespace});
+    debug(message, namespace, metadata) {
+        this.log(message, {level: "debug", ...Logger.context(namespace, metadata)});
     }
 
     /**
-     * Log a trace message. This is only logged when the log level is high enough.
-     * @param {String} message Message to log.
-     * @param {String} namespace The namespace.
+     * Log a trace message.
+     * @param {String|Error} message Message to log.
+     * @param {String|Object} namespace The namespace, or the metadata when there is no namespace.
+     * @param {Object} metadata The metadata to add to the log.
      */
-    trace(message, namespace) {
-        if (this.logLevel < 2) return;
-
-        this.log(message, {level: "trace", namespace});
+    trace(message, namespace, metadata) {
+        this.log(message, {level: "trace", ...Logger.context(namespace, metadata)});
     }
 
     /**
      * Log a warning.
-     * @param {String} message Message to log.
-     * @param {String} namespace The namespace.
+     * @param {String|Error} message Message to log.
+     * @param {String|Object} namespace The namespace, or the metadata when there is no namespace.
+     * @param {Object} metadata The metadata to add to the log.
      */
-    warn(message, namespace) {
-        this.log(message, {level: "warn", namespace});
+    warn(message, namespace, metadata) {
+        this.log(message, {level: "warn", ...Logger.context(namespace, metadata)});
     }
 
     /**
      * Log an error.
-     * @param {String} message Message to log.
-     * @param {String} namespace The namespace.
+     * @param {String|Error} message Message to log.
+     * @param {String|Object} namespace The namespace, or the metadata when there is no namespace.
+     * @param {Object} metadata The metadata to add to the log.
      */
-    error(message, namespace) {
-        this.log(message, {level: "error", namespace});
+    error(message, namespace, metadata) {
+        this.log(message, {level: "error", ...Logger.context(namespace, metadata)});
     }
 
     /**
      * Log a fatal error.
-     * @param {String} message Message to log.
-     * @param {String} namespace The namespace.
+     * @param {String|Error} message Message to log.
+     * @param {String|Object} namespace The namespace, or the metadata when there is no namespace.
+     * @param {Object} metadata The metadata to add to the log.
      */
-    fatal(message, namespace) {
-        this.log(message, {level: "fatal", namespace});
+    fatal(message, namespace, metadata) {
+        this.log(message, {level: "fatal", ...Logger.context(namespace, metadata)});
     }
 }
 
@@ -0,0 +1,193 @@
+/**
+ * The formats that can be used for strings, see {@link validate}.
+ */
+const formats = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    url: /^[a-z][a-z\d+\-.]*:\/\/[^\s]+$/i,
+    uuid: /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    "date-time": /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+    ipv4: /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/
+};
+
+/**
+ * Returns the JSON path of a key or index inside the specified path.
+ * @param {String} path The JSON path of the parent.
+ * @param {String|Number} key The key or index.
+ * @returns {String} The JSON path of the key or index.
+ */
+const childPath = (path, key) => {
+    if (typeof key === "number") return `${path}[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}.${key}`;
+
+    return `${path}[${JSON.stringify(key)}]`;
+};
+
+/**
+ * Returns the type of the specified value as used in schemas.
+ * @param {any} value The value.
+ * @returns {String} The type of the value.
+ */
+const typeOf = value => {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+
+    return typeof value;
+};
+
+/**
+ * Converts the specified value to the specified type when this can be done without losing information, for example
+ * "12" to 12 or "true" to true. When the value can't be converted it is returned as is.
+ * @param {any} value The value to convert.
+ * @param {String} type The type to convert to.
+ * @returns {any} The converted value.
+ */
+const coerce = (value, type) => {
+    if (typeof value !== "string") return value;
+    if ((type === "number" || type === "integer") && value.trim() !== "" && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === "boolean" && (value === "true" || value === "false")) return value === "true";
+
+    return value;
+};
+
+/**
+ * Validates the value at the specified path against the schema, adding the errors it finds to the errors array.
+ * @param {Object} schema The schema to validate against.
+ * @param {any} value The value to validate.
+ * @param {String} path The JSON path of the value.
+ * @param {Array<Object>} errors The array to add the errors to.
+ * @param {Object} options The options for validating, see {@link validate}.
+ * @returns {any} The validated and converted value.
+ */
+const validateValue = (schema, value, path, errors, options) => {
+    const error = message => errors.push({path, message});
+
+    if (value === undefined) {
+        if (schema.default !== undefined) {
+            return typeof schema.default === "function" ? schema.default() : JSON.parse(JSON.stringify(schema.default));
+        }
+        if (!schema.optional) error("is required");
+
+        return value;
+    }
+
+    if (value === null && schema.nullable) return value;
+
+    const {type = "any"} = schema;
+
+    if (options.coerce) value = coerce(value, type);
+
+    const actualType = typeOf(value);
+
+    if (type === "integer" ? !Number.isInteger(value) : type !== "any" && actualType !== type) {
+        error(`must be of type '${type}', received '${actualType}'`);
+
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        error(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`);
+    }
+
+    const size = actualType === "string" || actualType === "array" ? value.length : value;
+    const unit = actualType === "string" ? " characters" : actualType === "array" ? " items" : "";
+
+    if (typeof size === "number") {
+        if (schema.min !== undefined && size < schema.min) error(`must be at least ${schema.min}${unit}`);
+        if (schema.max !== undefined && size > schema.max) error(`must be at most ${schema.max}${unit}`);
+    }
+
+    if (actualType === "string") {
+        if (schema.format !== undefined) {
+            if (!formats[schema.format]) throw Error(`Unknown format '${schema.format}'.`);
+            if (!formats[schema.format].test(value)) error(`must be a valid ${schema.format}`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            error(`must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (actualType === "array" && schema.items) {
+        value = value.map((item, index) => validateValue(schema.items, item, childPath(path, index), errors, options));
+    }
+
+    if (actualType === "object" && schema.properties) {
+        const {additional = true} = schema;
+        const result = {};
+
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            const property = validateValue(propertySchema, value[key], childPath(path, key), errors, options);
+
+            if (property !== undefined) result[key] = property;
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            if (schema.properties[key] !== undefined) continue;
+            if (additional === false) errors.push({path: childPath(path, key), message: "is not allowed"});
+            else if (typeof additional === "object") {
+                result[key] = validateValue(additional, item, childPath(path, key), errors, options);
+            }
+            else result[key] = item;
+        }
+
+        value = result;
+    }
+
+    if (schema.validate) {
+        const message = schema.validate(value);
+
+        if (typeof message === "string") error(message);
+    }
+
+    return value;
+};
+
+/**
+ * Validates the specified value against a schema. A schema is an object describing the expected value with the
+ * following options:
+ *
+ * - `type` - "string", "number", "integer", "boolean", "object", "array" or "any" (the default).
+ * - `optional` - If the value may be missing. Values are required by default.
+ * - `default` - The value to use when the value is missing, or a function returning it.
+ * - `nullable` - If the value may be null.
+ * - `enum` - An array of the allowed values.
+ * - `min`, `max` - The minimum and maximum of a number, or of the length of a string or array.
+ * - `format` - The format of a string: "email", "url", "uuid", "date", "date-time" or "ipv4".
+ * - `pattern` - A regular expression a string must match.
+ * - `properties` - The schemas for the properties of an object.
+ * - `additional` - If properties of an object that are not in properties are allowed (true, the default), not
+ * allowed (false) or a schema for them.
+ * - `items` - The schema for the items of an array.
+ * - `validate` - A function that receives the value and returns an error message if it is invalid.
+ *
+ * The result contains the validated value, in which defaults have been applied and, when coercing, strings have been
+ * converted to numbers and booleans where the schema expects them. The errors each have the JSON path of the
+ * offending value, such as "$.user.tags[1]", and a message.
+ * @param {Object} schema The schema to validate against.
+ * @param {any} value The value to validate.
+ * @param {Object} options The options for validating.
+ * @param {Boolean} options.coerce If strings should be converted to the types in the schema. By default this is true.
+ * @param {String} options.path The JSON path of the value. By default this is "$".
+ * @returns {Object} An object with if the value is valid, the validated value and the errors.
+ */
+const validate = (schema, value, {coerce = true, path = "$"} = {}) => {
+    const errors = [];
+    const result = validateValue(schema, value, path, errors, {coerce});
+
+    return {valid: errors.length === 0, value: result, errors};
+};
+
+/**
+ * Formats the specified validation errors as a readable list, one error per line.
+ * @param {Array<Object>} errors The errors returned by {@link validate}.
+ * @returns {String} The formatted errors.
+ */
+const formatErrors = errors => {
+    return errors.map(({path, message}) => `${path} ${message}`).join("\n");
+};
+
+module.exports = {
+    validate, formatErrors, formats
+};
\ No newline at end of file
@@ -0,0 +1,162 @@
+const CryptoUtils = require("./crypto");
+
+/**
+ * The supported signing algorithms and the hash algorithms they use.
+ */
+const algorithms = {
+    HS256: "sha256",
+    HS384: "sha384",
+    HS512: "sha512"
+};
+
+/**
+ * Creates an error with the specified message and code, so that the reason a token was rejected can be checked.
+ * @param {String} message The message of the error.
+ * @param {String} code The code of the error, for example "TOKEN_EXPIRED".
+ * @returns {Error} The error.
+ */
+const tokenError = (message, code) => {
+    const error = Error(message);
+
+    error.code = code;
+
+    return error;
+}
+
+/**
+ * Encodes the given object as base64url JSON.
+ * @param {Object} object The object to encode.
+ * @returns {String} The encoded object.
+ */
+const encode = object => {
+    return Buffer.from(JSON.stringify(object)).toString("base64url");
+}
+
+/**
+ * Signs the header and payload of a token.
+ * @param {String} content The encoded header and payload, separated by a dot.
+ * @param {String|Buffer} secret The secret key.
+ * @param {String} algorithm The signing algorithm.
+ * @returns {String} The base64url encoded signature.
+ */
+const signature = (content, secret, algorithm) => {
+    return CryptoUtils.hmac(secret, content, algorithms[algorithm], "base64url");
+}
+
+/**
+ * Creates a signed token for the given payload. The token is compatible with JSON Web Tokens (JWT) signed using HMAC.
+ * The issued at (iat) claim is always added, the other claims only when their option is set.
+ * @param {Object} payload The payload of the token, for example {sub: "user-id", roles: ["admin"]}.
+ * @param {String|Buffer} secret The secret key to sign with.
+ * @param {Object} options The options for signing.
+ * @param {String} options.algorithm The signing algorithm: "HS256" (the default), "HS384" or "HS512".
+ * @param {Number} options.expiresIn The number of seconds until the token expires (exp claim).
+ * @param {Number} options.notBefore The number of seconds until the token becomes valid (nbf claim).
+ * @param {String} options.issuer The issuer of the token (iss claim).
+ * @param {String|Array<String>} options.audience The audience of the token (aud claim).
+ * @param {String} options.subject The subject of the token (sub claim).
+ * @param {String} options.keyId The id of the key used to sign, added to the header (kid).
+ * @returns {String} The signed token.
+ */
+const sign = (payload, secret, {algorithm = "HS256", expiresIn, notBefore, issuer, audience, subject, keyId} = {}) => {
+    if (!algorithms[algorithm]) throw Error(`Unsupported algorithm '${algorithm}'.`);
+    if (!secret) throw Error("A secret is required to sign a token.");
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = {alg: algorithm, typ: "JWT"};
+    const claims = {iat: now, ...payload};
+
+    if (keyId !== undefined) header.kid = keyId;
+    if (expiresIn !== undefined) claims.exp = now + expiresIn;
+    if (notBefore !== undefined) claims.nbf = now + notBefore;
+    if (issuer !== undefined) claims.iss = issuer;
+    if (audience !== undefined) claims.aud = audience;
+    if (subject !== undefined) claims.sub = subject;
+
+    const content = `${encode(header)}.${encode(claims)}`;
+
+    return `${content}.${signature(content, secret, algorithm)}`;
+}
+
+/**
+ * Decodes the given token without verifying it. Use {@link verify} to check that a token can be trusted.
+ * @param {String} token The token to decode.
+ * @returns {Object} An object with the header, the payload and the signature of the token.
+ */
+const decode = token => {
+    const parts = typeof token === "string" ? token.split(".") : [];
+
+    if (parts.length !== 3) throw tokenError("The token is malformed.", "TOKEN_MALFORMED");
+
+    try {
+        return {
+            header: JSON.parse(Buffer.from(parts[0], "base64url").toString()),
+            payload: JSON.parse(Buffer.from(parts[1], "base64url").toString()),
+            signature: parts[2]
+        };
+    } catch {
+        throw tokenError("The token is malformed.", "TOKEN_MALFORMED");
+    }
+}
+
+/**
+ * Verifies the given token and returns its payload. The signature is compared in constant time, after which the
+ * expiry (exp) and not before (nbf) claims are checked, as well as the issuer and audience when their options are set.
+ * When the token is rejected an error is thrown with a code explaining why: "TOKEN_MALFORMED", "TOKEN_INVALID",
+ * "TOKEN_EXPIRED", "TOKEN_NOT_ACTIVE" or "TOKEN_CLAIM_INVALID".
+ * @param {String} token The token to verify.
+ * @param {String|Buffer|Object} secret The secret key, or an object of secret keys by key id to support rotating keys.
+ * @param {Object} options The options for verifying.
+ * @param {Array<String>} options.algorithms The algorithms that are accepted. By default these are all supported
+ * algorithms.
+ * @param {String} options.issuer The required issuer.
+ * @param {String|Array<String>} options.audience The required audience, or a list of which one is required.
+ * @param {Number} options.clockTolerance The number of seconds of difference allowed between clocks. By default this
+ * is 0.
+ * @returns {Object} The payload of the token.
+ */
+const verify = (token, secret, {
+    algorithms: accepted = Object.keys(algorithms), issuer, audience, clockTolerance = 0
+} = {}) => {
+    const {header, payload, signature: actual} = decode(token);
+
+    if (!accepted.includes(header.alg) || !algorithms[header.alg]) {
+        throw tokenError(`The algorithm '${header.alg}' is not accepted.`, "TOKEN_INVALID");
+    }
+
+    const key = Buffer.isBuffer(secret) || typeof secret === "string" ? secret : (secret || {})[header.kid];
+
+    if (!key) throw tokenError("No key is available to verify the token.", "TOKEN_INVALID");
+
+    const content = token.substring(0, token.lastIndexOf("."));
+
+    if (!CryptoUtils.safeEqual(signature(content, key, header.alg), actual)) {
+        throw tokenError("The token signature is invalid.", "TOKEN_INVALID");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp === "number" && now - clockTolerance >= payload.exp) {
+        throw tokenError("The token has expired.", "TOKEN_EXPIRED");
+    }
+    if (typeof payload.nbf === "number" && now + clockTolerance < payload.nbf) {
+        throw tokenError("The token is not active yet.", "TOKEN_NOT_ACTIVE");
+    }
+    if (issuer !== undefined && payload.iss !== issuer) {
+        throw tokenError("The token issuer is invalid.", "TOKEN_CLAIM_INVALID");
+    }
+    if (audience !== undefined) {
+        const required = [].concat(audience);
+        const actualAudience = [].concat(payload.aud === undefined ? [] : payload.aud);
+
+        if (!actualAudience.some(value => required.includes(value))) {
+            throw tokenError("The token audience is invalid.", "TOKEN_CLAIM_INVALID");
+        }
+    }
+
+    return payload;
+}
+
+module.exports = {
+    sign, verify, decode, algorithms
+};
\ No newline at end of file